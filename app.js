@@ -11,14 +11,128 @@ const CONFIG = {
     CLOUD_STORAGE_KEY: 'etf_transactions',
     CLOUD_PRICES_KEY: 'etf_current_prices',
     LOCAL_BACKUP_KEY: 'etf_transactions_local_backup',
+    CLOUD_RESERVES_KEY: 'etf_reserves',
+    CLOUD_TARGETS_KEY: 'etf_target_allocation',
+    CLOUD_PRICE_HISTORY_KEY: 'etf_price_history',
+    CLOUD_HISTORY_KEY: 'etf_ledger_history',
+    CLOUD_STRATEGIES_KEY: 'etf_strategy_notes',
+    CLOUD_ALERTS_KEY: 'etf_alerts',
+    CLOUD_PORTFOLIOS_KEY: 'etf_portfolios',      // Portfolio registry (shared by all portfolios)
+    DEFAULT_PORTFOLIO_ID: 'default',
+    CLOUD_MIGRATION_KEY: 'etf_legacy_migrated',  // Set once single-portfolio data has moved into the default portfolio
+    UNDO_LIMIT: 50,                               // Ledger changes kept for undo/redo
+    CLOUD_PRICE_SETTINGS_KEY: 'etf_price_settings',
+    CLOUD_MANUAL_PRICES_KEY: 'etf_manual_prices',
+    CLOUD_CURRENCY_SETTINGS_KEY: 'etf_currency_settings',
+    BASE_CURRENCY: 'USD',                         // Currency of the summary figures until one is chosen
+    CLOUD_SNAPSHOTS_KEY: 'etf_snapshots',
+    CLOUD_SNAPSHOT_SETTINGS_KEY: 'etf_snapshot_settings',
+    SNAPSHOTS: {
+        maxCount: 20,                             // Snapshots kept per portfolio
+        maxAgeDays: 90,                           // Older snapshots are pruned
+        dailyInterval: 24 * 60 * 60 * 1000        // Take one at least this often
+    },
     PRICE_UPDATE: {
         marketHoursInterval: 5 * 60 * 1000,      // 5 minutes during market hours
+        extendedHoursInterval: 30 * 60 * 1000,   // 30 minutes in pre-market and after-hours trading
         afterHoursInterval: 2 * 60 * 60 * 1000,  // 2 hours after hours
-        staleThreshold: 30 * 60 * 1000            // 30 minutes
+        staleThreshold: 30 * 60 * 1000,           // 30 minutes
+        closedStaleThreshold: 4 * 24 * 60 * 60 * 1000, // Quote age flagged as stale while the market is closed (covers long weekends)
+        requestTimeout: 10 * 1000                 // Per-provider fetch timeout
+    },
+    PRICE_PROVIDERS: {
+        order: ['proxy', 'json', 'manual', 'mock'],
+        enabled: { proxy: true, json: false, manual: true, mock: false },
+        proxyUrl: 'https://yahoo-finance-proxy.aga-b10.workers.dev/',
+        jsonUrl: ''                               // e.g. https://example.com/quotes?symbols={symbols}
+    },
+    COST_BASIS_METHOD: 'AVERAGE',                 // Default lot relief method for SELLs
+    RETURNS: {
+        maxPriceAgeDays: 5                        // Oldest price usable as a valuation for a given day
+    },
+    PRICE_HISTORY: {
+        maxAgeDays: 5 * 365                       // Daily closes older than this are pruned on save
+    },
+    REBALANCE: {
+        defaultTolerance: 5,                      // +/- percentage points around each target
+        defaultMode: 'CASH_ONLY'
+    },
+    ALERTS: {
+        historyLimit: 200                         // Fired alerts kept in the history
+    },
+    TAX: {
+        washSaleWindowDays: 30                    // Repurchases this many days before or after a loss sale
+    },
+    CLOUD_RISK_SETTINGS_KEY: 'etf_risk_settings',
+    CLOUD_METADATA_KEY: 'etf_metadata',          // ETF info edited in the app, over the bundled file
+    ETF_METADATA_URL: 'etf-metadata.json',
+    RISK: {
+        defaultBenchmark: 'VTI',
+        tradingDaysPerYear: 252,                  // Annualizes daily volatility
+        maxGapDays: 5,                            // Longer gaps between closes are missing history, not a weekend
+        minObservations: 20,                      // Daily returns needed before a figure is shown
+        highCorrelation: 0.8                      // Pairs at or above this are flagged
+    },
+    SCENARIOS: {
+        volatilityLookbackDays: 365,              // Daily closes used for the Monte Carlo volatilities
+        horizonYears: 1,
+        stepsPerYear: 12,                         // Monthly steps
+        runs: 1000,
+        expectedReturn: 0                         // Annual percent, the same for every holding
     }
 };
 
-// INITIAL TRANSACTIONS - Cleaned up (removed sold positions)
+// How the rebalancing calculator is allowed to get back to target
+const REBALANCE_MODES = {
+    CASH_ONLY: 'New cash only (buys)',
+    CASH_AND_SELLS: 'Cash plus sells'
+};
+
+// Lot relief methods available when recording a SELL
+const COST_BASIS_METHODS = {
+    AVERAGE: 'Average Cost',
+    FIFO: 'FIFO (First In, First Out)',
+    LIFO: 'LIFO (Last In, First Out)',
+    SPECIFIC: 'Specific Lots'
+};
+
+// Cash ledger entries. They are booked against CASH_SYMBOL, not an ETF.
+const CASH_ACTIONS = ['DEPOSIT', 'WITHDRAWAL', 'FEE', 'INTEREST'];
+const CASH_SYMBOL = 'CASH';
+
+// Transaction types recorded as a cash amount instead of shares x price
+const AMOUNT_ONLY_ACTIONS = ['DIVIDEND', 'RETURN_OF_CAPITAL', ...CASH_ACTIONS];
+
+// Effect of each transaction type on the cash balance (multiplied by total)
+const CASH_FLOW_SIGN = {
+    DEPOSIT: 1,
+    WITHDRAWAL: -1,
+    FEE: -1,
+    INTEREST: 1,
+    BUY: -1,
+    SELL: 1,
+    DIVIDEND: 1,
+    RETURN_OF_CAPITAL: 1,
+    DRIP: 0
+};
+
+// Transaction types that add a tax lot to the position
+const LOT_ACTIONS = ['BUY', 'DRIP'];
+
+// Transaction types that count as distribution income
+const INCOME_ACTIONS = ['DIVIDEND', 'DRIP'];
+
+// Corporate actions change share counts and per-share figures without moving
+// money. `ratio` is new shares per old share for SPLIT and SYMBOL_CHANGE
+// (a merger is a symbol change with a ratio other than 1) and old shares per
+// new share for REVERSE_SPLIT. SYMBOL_CHANGE also carries `newSymbol`.
+const CORPORATE_ACTIONS = ['SPLIT', 'REVERSE_SPLIT', 'SYMBOL_CHANGE'];
+
+// Share amounts below this are treated as zero (floating point dust)
+const SHARE_EPSILON = 1e-9;
+
+// INITIAL TRANSACTIONS (fully sold ETFs can stay in the ledger; they are
+// listed under Closed Positions instead of the dashboard)
 const initialTransactions = [
     // === INITIAL POSITIONS (January 2024) ===
     { date: '2024-01-15', etf: 'SOXX', action: 'BUY', shares: 107, price: 280.00, total: 29960, notes: 'Initial Position - Entry at dip' },
@@ -46,7 +160,7 @@ const initialTransactions = [
     { date: '2025-01-06', etf: 'VTI', action: 'BUY', shares: 212, price: 338.40, total: 71741, notes: 'VTI - New total market position' }
 ];
 
-// Strategy notes for each ETF
+// Default strategy notes for each ETF (seeded into the default portfolio)
 const etfStrategies = {
     'SOXX': 'Semiconductors - Core growth position',
     'IWM': 'Small-cap value',
@@ -62,70 +176,107 @@ const etfStrategies = {
 let portfolio = [];
 let transactions = [];
 let currentPrices = {};
+let priceMeta = {};       // { ETF: { provider, timestamp } } - where each current price came from
+let manualPrices = {};    // { ETF: { price, timestamp } } entered by hand
+let priceSettings = { ...CONFIG.PRICE_PROVIDERS };
+let priceHistory = {};    // { ETF: { 'YYYY-MM-DD': close } }, FX symbols included
+let currencySettings = { baseCurrency: CONFIG.BASE_CURRENCY, etfCurrencies: {} };   // etfCurrencies: { ETF: 'EUR' }
+let reserves = {};        // { ETF: { budget, tranches: [{ id, label, price, shares }] } }
+let targetAllocation = {  // Target weights (percent) and rebalancing settings
+    weights: {},
+    tolerance: CONFIG.REBALANCE.defaultTolerance,
+    mode: CONFIG.REBALANCE.defaultMode,
+    cash: 0
+};
+let ledgerHistory = { undo: [], redo: [] };   // Ledger snapshots for undo/redo
+let alertState = { rules: [], history: [] };  // Alert rules and fired alerts
+let strategyJournal = {}; // { ETF: { thesis, stopLevel, reviewDate, entries: [{ id, date, text, transactionIds }] } }
+let snapshots = [];       // Active portfolio's ledger snapshots, newest first: [{ id, createdAt, reason, detail, transactions }]
+let snapshotSettings = { maxCount: CONFIG.SNAPSHOTS.maxCount, maxAgeDays: CONFIG.SNAPSHOTS.maxAgeDays };
+let riskSettings = { benchmark: CONFIG.RISK.defaultBenchmark };
+let bundledMetadata = {};    // { ETF: { name, assetClass, region, sector, expenseRatio, topHoldings: { SYMBOL: percent } } }
+let metadataOverrides = {};  // Same shape, for ETFs edited in the app
+let scenarioShocks = { assetClass: {}, etf: {} };   // Percent price changes; an ETF's own shock beats its asset class's
+let selectedTransactionIds = new Set();   // Ticked rows in the transactions table
+let portfolioRegistry = { active: CONFIG.DEFAULT_PORTFOLIO_ID, portfolios: [] };   // [{ id, name, createdAt }]
+let portfolioCache = {};  // { portfolioId: { transactions, reserves } } for the consolidated view
+let editingTransactionId = null;
 let lastPriceUpdate = null;
 let priceUpdateInterval = null;
+let sessionBoundaryTimer = null;   // Fires at the next market session change
 let cloudStorageAvailable = typeof window.storage !== 'undefined';
 
 // ============================================================================
 // CLOUD STORAGE FUNCTIONS
 // ============================================================================
 
-async function saveTransactionsToCloud() {
+// Per-portfolio data lives under the base key suffixed with the portfolio ID
+function getPortfolioKey(baseKey, portfolioId = portfolioRegistry.active) {
+    return `${baseKey}__${portfolioId}`;
+}
+
+// Saves a portfolio's ledger locally, then syncs it with the cloud copy.
+// If another device saved in the meantime the two are merged; the merged
+// ledger replaces the in-memory one when it belongs to the active portfolio.
+async function saveTransactionsToCloud(transactionList = transactions, portfolioId = portfolioRegistry.active) {
+    const local = readLocalLedger(portfolioId) || { transactions: [], deletedIds: [], baseRevision: 0, base: null };
+
+    writeLocalLedger(portfolioId, {
+        ...local,
+        transactions: transactionList,
+        deletedIds: updateTombstones(local, transactionList),
+        dirty: true,
+        updatedAt: Date.now()
+    });
+
     if (!cloudStorageAvailable) {
         console.warn('Cloud storage not available, using localStorage only');
-        localStorage.setItem(CONFIG.LOCAL_BACKUP_KEY, JSON.stringify(transactions));
         return;
     }
 
-    try {
-        const result = await window.storage.set(
-            CONFIG.CLOUD_STORAGE_KEY,
-            JSON.stringify(transactions),
-            false // personal data, not shared
-        );
-        
-        if (result) {
-            console.log('✅ Transactions saved to cloud storage');
-            // Also save to localStorage as backup
-            localStorage.setItem(CONFIG.LOCAL_BACKUP_KEY, JSON.stringify(transactions));
-        } else {
-            console.error('❌ Cloud storage save failed');
-        }
-    } catch (error) {
-        console.error('Cloud storage error:', error);
-        // Fallback to localStorage
-        localStorage.setItem(CONFIG.LOCAL_BACKUP_KEY, JSON.stringify(transactions));
+    const result = await syncLedger(portfolioId);
+    if (result.changed && portfolioId === portfolioRegistry.active) {
+        await applySyncedTransactions(result.transactions);
     }
 }
 
-async function loadTransactionsFromCloud() {
+// The portfolio's ledger after syncing with the cloud, or null when it has
+// never been saved anywhere or couldn't be read
+async function loadTransactionsFromCloud(portfolioId = portfolioRegistry.active) {
+    const result = await syncLedger(portfolioId);
+    return result.transactions;
+}
+
+async function loadLedgerFromKeys(cloudKey, localKey) {
     if (!cloudStorageAvailable) {
         console.warn('Cloud storage not available, using localStorage');
-        const localData = localStorage.getItem(CONFIG.LOCAL_BACKUP_KEY);
+        const localData = localStorage.getItem(localKey);
         return localData ? JSON.parse(localData) : null;
     }
 
     try {
-        const result = await window.storage.get(CONFIG.CLOUD_STORAGE_KEY, false);
+        const result = await window.storage.get(cloudKey, false);
         
         if (result && result.value) {
             console.log('✅ Transactions loaded from cloud storage');
             const cloudTransactions = JSON.parse(result.value);
             
             // Also update localStorage backup
-            localStorage.setItem(CONFIG.LOCAL_BACKUP_KEY, JSON.stringify(cloudTransactions));
+            localStorage.setItem(localKey, JSON.stringify(cloudTransactions));
             
             return cloudTransactions;
         } else {
             console.log('ℹ️ No cloud data found, checking localStorage backup');
-            const localData = localStorage.getItem(CONFIG.LOCAL_BACKUP_KEY);
+            const localData = localStorage.getItem(localKey);
             return localData ? JSON.parse(localData) : null;
         }
     } catch (error) {
         console.error('Cloud storage read error:', error);
-        // Fallback to localStorage
-        const localData = localStorage.getItem(CONFIG.LOCAL_BACKUP_KEY);
-        return localData ? JSON.parse(localData) : null;
+        // Fallback to localStorage; with no local copy either, the ledger is
+        // unknown rather than empty
+        const localData = localStorage.getItem(localKey);
+        if (!localData) throw error;
+        return JSON.parse(localData);
     }
 }
 
@@ -135,6 +286,7 @@ async function savePricesToCloud() {
     try {
         const priceData = {
             prices: currentPrices,
+            meta: priceMeta,
             timestamp: lastPriceUpdate ? lastPriceUpdate.getTime() : Date.now()
         };
         
@@ -161,465 +313,6183 @@ async function loadPricesFromCloud() {
     } catch (error) {
         console.error('Price cache load error:', error);
     }
-    
+
     return null;
 }
 
-// ============================================================================
-// INITIALIZATION
-// ============================================================================
+// Generic JSON persistence for app settings (reserves, targets, ...).
+// Same dual persistence as transactions: cloud first, localStorage mirror.
+async function saveDataToCloud(key, data) {
+    const serialized = JSON.stringify(data);
 
-async function initializeApp() {
-    showLoadingIndicator('Loading portfolio data...');
-    
-    // Load transactions from cloud or fallback
-    const savedTransactions = await loadTransactionsFromCloud();
-    
-    if (savedTransactions && savedTransactions.length > 0) {
-        transactions = savedTransactions;
-        console.log(`Loaded ${transactions.length} transactions from storage`);
-    } else {
-        transactions = [...initialTransactions];
-        await saveTransactionsToCloud();
-        console.log('Initialized with default transactions');
+    // A full quota costs the local mirror, not the save
+    try {
+        localStorage.setItem(`${key}_local_backup`, serialized);
+    } catch (error) {
+        console.warn(`⚠️ Local backup of ${key} not saved:`, error.message);
+    }
+
+    if (!cloudStorageAvailable) return;
+
+    try {
+        const result = await window.storage.set(key, serialized, false);
+        if (!result) console.error(`❌ Cloud storage save failed for ${key}`);
+    } catch (error) {
+        console.error(`Cloud storage error (${key}):`, error);
     }
-    
-    // Calculate portfolio from transactions
-    recalculatePortfolioFromTransactions();
-    
-    // Load cached prices
-    await loadCachedPrices();
-    
-    // Render UI
-    renderDashboard();
-    renderTransactions();
-    renderStrategy();
-    
-    // Fetch fresh prices
-    await fetchCurrentPrices();
-    
-    // Setup automatic updates
-    setupAutomaticUpdates();
-    setupEventListeners();
-    updateLastUpdated();
-    
-    hideLoadingIndicator();
-    
-    // Show storage status
-    showStorageStatus();
 }
 
-async function loadCachedPrices() {
-    const cloudPrices = await loadPricesFromCloud();
-    
-    if (cloudPrices && cloudPrices.prices) {
-        currentPrices = cloudPrices.prices;
-        lastPriceUpdate = new Date(cloudPrices.timestamp);
-        console.log('Loaded cached prices from cloud:', lastPriceUpdate);
-    } else {
-        // Fallback prices
-        currentPrices = {
-            'SOXX': 348.51,
-            'IWM': 265.02,
-            'SCHD': 31.47,
-            'IAU': 93.24,
-            'SLV': 70.19,
-            'VTI': 340.96
-        };
-        console.log('Using fallback prices for initial display');
+async function loadDataFromCloud(key) {
+    return (await readDataFromCloud(key)).data;
+}
+
+// Like loadDataFromCloud, but tells a key that was never saved apart from one
+// that couldn't be read: `unavailable` is set when the cloud read failed and
+// there is no local copy to fall back on.
+async function readDataFromCloud(key) {
+    const localData = localStorage.getItem(`${key}_local_backup`);
+    const local = localData ? JSON.parse(localData) : null;
+
+    if (!cloudStorageAvailable) return { data: local, unavailable: false };
+
+    try {
+        const result = await window.storage.get(key, false);
+        if (result && result.value) {
+            localStorage.setItem(`${key}_local_backup`, result.value);
+            return { data: JSON.parse(result.value), unavailable: false };
+        }
+        return { data: local, unavailable: false };
+    } catch (error) {
+        console.error(`Cloud storage read error (${key}):`, error);
+        return { data: local, unavailable: !local };
     }
 }
 
 // ============================================================================
-// PORTFOLIO CALCULATION
+// LEDGER SYNC
 // ============================================================================
 
-function recalculatePortfolioFromTransactions() {
-    portfolio = [];
-    
-    transactions.forEach(t => {
-        let position = portfolio.find(p => p.etf === t.etf);
-        
-        if (!position) {
-            position = {
-                etf: t.etf,
-                shares: 0,
-                avgEntry: 0,
-                invested: 0,
-                reserved: 0,
-                strategy: etfStrategies[t.etf] || 'Add strategy notes'
-            };
-            portfolio.push(position);
+// The cloud copy of a ledger is a versioned envelope:
+// { format, revision, updatedAt, deviceId, transactions, deletedIds }.
+// The local copy also keeps the cloud revision it last synced with
+// (baseRevision), the transactions as of that sync (base) and whether it has
+// unsynced edits (dirty). With the base, a merge can tell which side changed
+// each transaction.
+const LEDGER_FORMAT = 'etf-ledger-v1';
+
+let pendingConflictResolution = null;   // { conflicts, resolve } while the dialog is open
+
+function getDeviceId() {
+    let deviceId = localStorage.getItem('etf_device_id');
+    if (!deviceId) {
+        deviceId = generateId('device');
+        localStorage.setItem('etf_device_id', deviceId);
+    }
+    return deviceId;
+}
+
+// Ledgers saved before versioning were bare arrays; they count as synced
+// at revision 0
+function readLocalLedger(portfolioId) {
+    const localData = localStorage.getItem(getPortfolioKey(CONFIG.LOCAL_BACKUP_KEY, portfolioId));
+    if (!localData) return null;
+
+    const parsed = JSON.parse(localData);
+    if (Array.isArray(parsed)) {
+        return { transactions: parsed, deletedIds: [], baseRevision: 0, base: parsed, dirty: false };
+    }
+    return parsed;
+}
+
+function writeLocalLedger(portfolioId, ledger) {
+    localStorage.setItem(getPortfolioKey(CONFIG.LOCAL_BACKUP_KEY, portfolioId), JSON.stringify(ledger));
+}
+
+async function readCloudLedger(portfolioId) {
+    const result = await window.storage.get(getPortfolioKey(CONFIG.CLOUD_STORAGE_KEY, portfolioId), false);
+    if (!result || !result.value) return null;
+
+    const parsed = JSON.parse(result.value);
+    if (Array.isArray(parsed)) {
+        return { format: LEDGER_FORMAT, revision: 0, updatedAt: null, deviceId: null, transactions: parsed, deletedIds: [] };
+    }
+    return parsed;
+}
+
+// Writes a new cloud revision and marks the local copy as synced with it.
+// window.storage has no compare-and-set, so two devices pushing at the same
+// moment can still race; the next sync on either device merges again.
+async function pushLedger(portfolioId, ledger, revision) {
+    const envelope = {
+        format: LEDGER_FORMAT,
+        revision,
+        updatedAt: Date.now(),
+        deviceId: getDeviceId(),
+        transactions: ledger.transactions,
+        deletedIds: ledger.deletedIds || []
+    };
+
+    const result = await window.storage.set(
+        getPortfolioKey(CONFIG.CLOUD_STORAGE_KEY, portfolioId),
+        JSON.stringify(envelope),
+        false // personal data, not shared
+    );
+    if (!result) throw new Error('Cloud storage save failed');
+
+    writeLocalLedger(portfolioId, {
+        transactions: envelope.transactions,
+        deletedIds: envelope.deletedIds,
+        baseRevision: revision,
+        base: envelope.transactions,
+        dirty: false,
+        updatedAt: envelope.updatedAt
+    });
+    console.log(`✅ Transactions saved to cloud storage (revision ${revision})`);
+}
+
+// Brings the local and cloud copies of a ledger together. Returns
+// { transactions, changed, unavailable } where `changed` means the result
+// differs from what was stored locally, and `unavailable` that there is no
+// local copy and the cloud couldn't be read, so the ledger is unknown rather
+// than never saved.
+async function syncLedger(portfolioId) {
+    const local = readLocalLedger(portfolioId);
+    const localOnly = { transactions: local ? local.transactions : null, changed: false, unavailable: false };
+
+    // A merge is already waiting on the conflict dialog; local edits stay
+    // dirty and go out with the next sync
+    if (!cloudStorageAvailable || pendingConflictResolution) return localOnly;
+
+    try {
+        const remote = await readCloudLedger(portfolioId);
+
+        if (!remote) {
+            if (local) await pushLedger(portfolioId, local, (local.baseRevision || 0) + 1);
+            return localOnly;
         }
-        
-        if (t.action === 'BUY') {
-            const newTotalShares = position.shares + t.shares;
-            const newTotalInvested = position.invested + t.total;
-            position.avgEntry = newTotalShares > 0 ? newTotalInvested / newTotalShares : 0;
-            position.shares = newTotalShares;
-            position.invested = newTotalInvested;
-        } else if (t.action === 'SELL') {
-            const soldValue = t.shares * position.avgEntry;
-            position.shares -= t.shares;
-            position.invested -= soldValue;
-            
-            if (position.shares <= 0) {
-                position.shares = 0;
-                position.avgEntry = 0;
-                position.invested = 0;
+
+        const adoptRemote = async () => {
+            if (local && local.transactions.length > 0 && stableStringify(local.transactions) !== stableStringify(remote.transactions)) {
+                await takeSnapshot('SYNC', local.transactions, portfolioId);
+            }
+            writeLocalLedger(portfolioId, {
+                transactions: remote.transactions,
+                deletedIds: remote.deletedIds || [],
+                baseRevision: remote.revision,
+                base: remote.transactions,
+                dirty: false,
+                updatedAt: remote.updatedAt
+            });
+            return { transactions: remote.transactions, changed: Boolean(local), unavailable: false };
+        };
+
+        if (!local) return await adoptRemote();
+
+        if (remote.revision === local.baseRevision) {
+            if (local.dirty) await pushLedger(portfolioId, local, remote.revision + 1);
+            return localOnly;
+        }
+
+        if (!local.dirty) {
+            console.log(`☁️ Pulled revision ${remote.revision} of the ledger`);
+            return await adoptRemote();
+        }
+
+        // Both sides changed since the last sync
+        console.log(`🔀 Merging local edits with cloud revision ${remote.revision}`);
+        await takeSnapshot('SYNC', local.transactions, portfolioId);
+        const { merged, deletedIds, conflicts } = mergeLedgers(local.base, local, remote);
+
+        if (conflicts.length > 0) {
+            const choices = await resolveSyncConflicts(conflicts);
+
+            // Back to front, so earlier positions stay valid
+            for (let index = conflicts.length - 1; index >= 0; index--) {
+                const conflict = conflicts[index];
+                const chosen = choices[index] === 'remote' ? conflict.remote : conflict.local;
+                if (chosen) merged.splice(conflict.position, 0, chosen);
             }
         }
+
+        await pushLedger(portfolioId, { transactions: merged, deletedIds }, remote.revision + 1);
+        showNotification(`Merged changes from another device${conflicts.length > 0 ? ` (${conflicts.length} resolved)` : ''}`, 'info');
+        return { transactions: merged, changed: true, unavailable: false };
+    } catch (error) {
+        console.error('Cloud sync error:', error);
+        return { ...localOnly, unavailable: !local };
+    }
+}
+
+// Tombstones after a local save. IDs that were in the local copy and are gone
+// now are added, so a merge doesn't bring them back; IDs that are back
+// (undo, snapshot restore) are dropped, so a merge doesn't delete them again.
+function updateTombstones(local, transactionList) {
+    const keptIds = new Set(transactionList.map(t => t.id));
+    const deletedIds = new Set(local.deletedIds || []);
+
+    local.transactions.forEach(t => {
+        if (t.id && !keptIds.has(t.id)) deletedIds.add(t.id);
     });
-    
-    console.log('Portfolio recalculated:', portfolio.length, 'positions');
+    keptIds.forEach(id => deletedIds.delete(id));
+
+    return [...deletedIds];
 }
 
-// ============================================================================
-// DASHBOARD RENDERING (WITH ZERO-POSITION FILTERING)
-// ============================================================================
+// Three-way merge by transaction ID. A side's version wins when the other
+// side still matches the base; identical edits agree; anything else is a
+// conflict for the user. Records missing from a side count as deleted there.
+// Without a base (a device that never synced) deletions are only known from
+// the tombstones in deletedIds.
+function mergeLedgers(baseList, local, remote) {
+    [local.transactions, remote.transactions].forEach(migrateTransactionIds);
 
-function calculateMetrics() {
-    let totalInvested = 0;
-    let totalValue = 0;
-    let totalReserved = 0;
-    
-    portfolio.forEach(position => {
-        totalInvested += position.invested;
-        totalReserved += position.reserved;
-        const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
-        totalValue += position.shares * currentPrice;
+    const index = list => new Map(list.map(t => [t.id, t]));
+    const base = index(baseList || []);
+    const mine = index(local.transactions);
+    const theirs = index(remote.transactions);
+    const deletedLocally = new Set(local.deletedIds || []);
+    const deletedRemotely = new Set(remote.deletedIds || []);
+    const same = (a, b) => stableStringify(a) === stableStringify(b);
+
+    const merged = [];
+    const conflicts = [];
+    const ids = [...new Set([...mine.keys(), ...theirs.keys()])];
+
+    ids.forEach(id => {
+        const b = base.get(id) || null;
+        const l = mine.get(id) || null;
+        const r = theirs.get(id) || null;
+
+        // With a base, a record missing from one side is a deletion the
+        // three-way rules below already handle; tombstones only fill in for it
+        if (!baseList && ((!r && deletedRemotely.has(id)) || (!l && deletedLocally.has(id)))) return;
+
+        let result;
+        if (same(l, r)) {
+            result = l;
+        } else if (same(l, b)) {
+            result = r;
+        } else if (same(r, b)) {
+            result = l;
+        } else {
+            conflicts.push({ id, base: b, local: l, remote: r, position: merged.length });
+            return;
+        }
+
+        if (result) merged.push(result);
     });
-    
-    const totalGainLoss = totalValue - totalInvested;
-    const gainLossPercent = totalInvested > 0 ? (totalGainLoss / totalInvested) * 100 : 0;
-    
+
+    // A tombstone for a record that survived the merge would delete it on
+    // the next one
+    const keptIds = new Set([...merged.map(t => t.id), ...conflicts.map(c => c.id)]);
     return {
-        totalInvested,
-        totalValue,
-        totalReserved,
-        totalGainLoss,
-        gainLossPercent
+        merged,
+        deletedIds: [...new Set([...deletedLocally, ...deletedRemotely])].filter(id => !keptIds.has(id)),
+        conflicts
     };
 }
 
-function renderDashboard() {
-    const metrics = calculateMetrics();
-    
-    document.getElementById('totalValue').textContent = formatCurrency(metrics.totalValue);
-    document.getElementById('totalInvested').textContent = formatCurrency(metrics.totalInvested);
-    document.getElementById('reservedCapital').textContent = formatCurrency(metrics.totalReserved);
-    document.getElementById('totalGainLoss').textContent = formatCurrency(metrics.totalGainLoss);
-    
-    // Count only non-zero positions
-    const activePositions = portfolio.filter(p => p.shares > 0).length;
-    document.getElementById('numPositions').textContent = activePositions;
-    
-    const changeElement = document.getElementById('totalChange');
-    const changeAmount = formatCurrency(metrics.totalGainLoss);
-    const changePercent = metrics.gainLossPercent.toFixed(2);
-    changeElement.textContent = `${changeAmount} (${changePercent}%)`;
-    changeElement.className = metrics.totalGainLoss >= 0 ? 'card-change positive' : 'card-change negative';
-    
-    const gainPercentElement = document.getElementById('gainLossPercent');
-    gainPercentElement.textContent = `${changePercent}%`;
-    gainPercentElement.className = metrics.totalGainLoss >= 0 ? 'positive' : 'negative';
-    
-    renderPositions();
+// JSON with sorted keys, so equal records compare equal whatever their key order
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
 }
 
-function renderPositions() {
-    const tbody = document.getElementById('positionsBody');
-    if (!tbody) return;
-    
-    tbody.innerHTML = '';
-    
-    // FILTER OUT ZERO POSITIONS - This is the key change!
-    const activePositions = portfolio.filter(p => p.shares > 0);
-    
-    activePositions.forEach((position) => {
-        const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
-        const currentValue = position.shares * currentPrice;
-        const gainLoss = currentValue - position.invested;
-        const gainLossPercent = position.invested > 0 ? (gainLoss / position.invested) * 100 : 0;
-        
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td class="etf-symbol">${position.etf}</td>
-            <td>${position.shares.toFixed(2)}</td>
-            <td>${formatCurrency(position.avgEntry)}</td>
-            <td class="current-price">${formatCurrency(currentPrice)}</td>
-            <td>${formatCurrency(position.invested)}</td>
-            <td>${formatCurrency(currentValue)}</td>
-            <td class="${gainLoss >= 0 ? 'positive' : 'negative'}">
-                ${formatCurrency(gainLoss)}<br>
-                <small>(${gainLossPercent.toFixed(2)}%)</small>
-            </td>
-            <td>${formatCurrency(position.reserved)}</td>
-            <td class="actions">
-                <button class="btn-small btn-primary" onclick="openTransactionModal('${position.etf}', 'BUY')">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="12" y1="5" x2="12" y2="19"></line>
-                        <line x1="5" y1="12" x2="19" y2="12"></line>
-                    </svg>
-                    Buy
-                </button>
-                <button class="btn-small btn-danger" onclick="openTransactionModal('${position.etf}', 'SELL')">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <line x1="5" y1="12" x2="19" y2="12"></line>
-                    </svg>
-                    Sell
-                </button>
-            </td>
-        `;
-        tbody.appendChild(row);
+// Undo entries are whole ledgers from before the sync; restoring one would
+// drop the other device's changes and tombstone them, so the history starts
+// afresh
+async function applySyncedTransactions(syncedTransactions) {
+    transactions = syncedTransactions;
+    await clearLedgerHistory();
+    recalculatePortfolioFromTransactions();
+
+    renderDashboard();
+    renderTransactions();
+    renderStrategy();
+}
+
+// Pulls (and merges) changes made on other devices
+async function syncActivePortfolio() {
+    if (!cloudStorageAvailable) return;
+
+    const result = await syncLedger(portfolioRegistry.active);
+    if (result.changed) await applySyncedTransactions(result.transactions);
+}
+
+function describeLedgerRecord(transaction) {
+    if (!transaction) return 'Deleted';
+
+    const currency = getTransactionCurrency(transaction);
+    let amount = AMOUNT_ONLY_ACTIONS.includes(transaction.action)
+        ? formatCurrency(transaction.total, currency)
+        : `${formatShares(transaction.shares)} @ ${formatCurrency(transaction.price, currency)}`;
+    if (CORPORATE_ACTIONS.includes(transaction.action)) amount = describeCorporateAction(transaction);
+    const notes = transaction.notes ? ` - ${transaction.notes}` : '';
+    return `${formatDate(transaction.date)} ${formatAction(transaction.action)} ${transaction.etf} ${amount}${notes}`;
+}
+
+// Shows the conflict dialog and resolves with 'local' or 'remote' for each
+// conflict, in order
+function resolveSyncConflicts(conflicts) {
+    return new Promise(resolve => {
+        pendingConflictResolution = { conflicts, resolve };
+
+        document.getElementById('syncConflictList').innerHTML = conflicts.map((conflict, index) => `
+            <div class="conflict-item">
+                <div class="conflict-original text-muted">Before: ${escapeHtml(describeLedgerRecord(conflict.base))}</div>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="local" checked>
+                    <span><strong>This device:</strong> ${escapeHtml(describeLedgerRecord(conflict.local))}</span>
+                </label>
+                <label class="conflict-option">
+                    <input type="radio" name="conflict-${index}" value="remote">
+                    <span><strong>Other device:</strong> ${escapeHtml(describeLedgerRecord(conflict.remote))}</span>
+                </label>
+            </div>
+        `).join('');
+
+        document.getElementById('syncConflictModal').style.display = 'flex';
     });
 }
 
-function renderStrategy() {
-    const tbody = document.getElementById('strategyBody');
-    if (!tbody) return;
-    
-    tbody.innerHTML = '';
-    
-    // FILTER OUT ZERO POSITIONS HERE TOO
-    const activePositions = portfolio.filter(p => p.shares > 0);
-    
-    activePositions.forEach(position => {
-        const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
-        const priceVsEntry = position.avgEntry > 0 
-            ? ((currentPrice - position.avgEntry) / position.avgEntry * 100).toFixed(2)
-            : 0;
-        
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td class="etf-symbol">${position.etf}</td>
-            <td>${position.strategy}</td>
-            <td>${formatCurrency(position.avgEntry)}</td>
-            <td class="current-price">${formatCurrency(currentPrice)}</td>
-            <td class="${parseFloat(priceVsEntry) >= 0 ? 'positive' : 'negative'}">
-                ${priceVsEntry}%
-            </td>
-            <td>${formatCurrency(position.reserved)}</td>
-        `;
-        tbody.appendChild(row);
+// `side` picks the same side for every conflict; without it the radio
+// choices are used
+function finishSyncConflicts(side) {
+    if (!pendingConflictResolution) return;
+
+    const { conflicts, resolve } = pendingConflictResolution;
+    const choices = conflicts.map((conflict, index) => {
+        if (side) return side;
+        const checked = document.querySelector(`input[name="conflict-${index}"]:checked`);
+        return checked ? checked.value : 'local';
     });
+
+    pendingConflictResolution = null;
+    document.getElementById('syncConflictModal').style.display = 'none';
+    resolve(choices);
 }
 
 // ============================================================================
-// TRANSACTION MANAGEMENT
+// SNAPSHOTS
 // ============================================================================
 
-function renderTransactions() {
-    const tbody = document.getElementById('transactionsBody');
+// Rolling copies of a portfolio's ledger, taken before anything that replaces
+// many transactions at once and otherwise once a day
+const SNAPSHOT_REASONS = {
+    DAILY: 'Daily',
+    IMPORT: 'Before import',
+    BULK_DELETE: 'Before bulk delete',
+    SYNC: 'Before sync overwrite',
+    RESTORE: 'Before restore',
+    MANUAL: 'Manual'
+};
+
+let viewingSnapshotId = null;
+let snapshotDiff = [];    // Rows of the snapshot being viewed: [{ id, status, snapshot, current, include }]
+
+async function loadSnapshots(portfolioId = portfolioRegistry.active) {
+    return unpackSnapshots(await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_SNAPSHOTS_KEY, portfolioId)) || []);
+}
+
+async function saveSnapshots(list, portfolioId = portfolioRegistry.active) {
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_SNAPSHOTS_KEY, portfolioId), packSnapshots(list));
+}
+
+// Only the newest snapshot is stored in full. Each older one is stored as its
+// transaction order plus the records that differ from the snapshot after it,
+// so a mostly unchanged ledger isn't stored maxCount times over.
+function packSnapshots(list) {
+    return list.map((snapshot, index) => {
+        const { transactions: snapshotTransactions, ...meta } = snapshot;
+        if (index === 0 || snapshotTransactions.some(t => !t.id)) return snapshot;
+
+        const newer = new Map(list[index - 1].transactions.map(t => [t.id, stableStringify(t)]));
+        return {
+            ...meta,
+            ids: snapshotTransactions.map(t => t.id),
+            changed: snapshotTransactions.filter(t => newer.get(t.id) !== stableStringify(t))
+        };
+    });
+}
+
+// Rebuilds full snapshots, newest first. Snapshots saved before packing
+// existed are stored in full and are taken as they are.
+function unpackSnapshots(stored) {
+    const list = [];
+
+    stored.forEach(entry => {
+        if (entry.transactions) {
+            list.push(entry);
+            return;
+        }
+
+        const { ids, changed, ...meta } = entry;
+        const records = new Map(list[list.length - 1].transactions.map(t => [t.id, t]));
+        changed.forEach(t => records.set(t.id, t));
+        list.push({ ...meta, transactions: ids.map(id => records.get(id)) });
+    });
+
+    return list;
+}
+
+// Drops snapshots past the age limit, then all but the newest maxCount
+function pruneSnapshots(list) {
+    const cutoff = Date.now() - snapshotSettings.maxAgeDays * MS_PER_DAY;
+    return list
+        .filter(snapshot => snapshot.createdAt >= cutoff)
+        .slice(0, snapshotSettings.maxCount);
+}
+
+// Stores a copy of `transactionList` for the portfolio. Empty ledgers and
+// ledgers identical to the newest snapshot are not stored again.
+async function takeSnapshot(reason, transactionList = transactions, portfolioId = portfolioRegistry.active, detail = '') {
+    if (transactionList.length === 0) return null;
+
+    const list = await loadSnapshots(portfolioId);
+    if (list[0] && stableStringify(list[0].transactions) === stableStringify(transactionList)) return null;
+
+    const snapshot = {
+        id: generateId('snap'),
+        createdAt: Date.now(),
+        reason,
+        detail,
+        transactions: cloneTransactions(transactionList)
+    };
+
+    const kept = pruneSnapshots([snapshot, ...list]);
+    await saveSnapshots(kept, portfolioId);
+    if (portfolioId === portfolioRegistry.active) snapshots = kept;
+
+    console.log(`📸 Snapshot of ${transactionList.length} transactions (${SNAPSHOT_REASONS[reason] || reason})`);
+    return snapshot;
+}
+
+async function takeDailySnapshot() {
+    const newest = snapshots[0];
+    if (newest && Date.now() - newest.createdAt < CONFIG.SNAPSHOTS.dailyInterval) return;
+
+    await takeSnapshot('DAILY');
+}
+
+async function takeManualSnapshot() {
+    const snapshot = await takeSnapshot('MANUAL');
+    showNotification(snapshot ? 'Snapshot saved' : 'Nothing changed since the last snapshot', 'info');
+    renderSnapshotList();
+}
+
+function getSnapshotById(id) {
+    return snapshots.find(snapshot => snapshot.id === id) || null;
+}
+
+// Compares a snapshot with the current ledger by transaction ID:
+// 'removed' exists only in the snapshot, 'changed' differs, 'added' exists
+// only now. Restoring a row undoes that difference.
+function diffSnapshot(snapshot, currentList = transactions) {
+    const current = new Map(currentList.map(t => [t.id, t]));
+    const saved = new Map(snapshot.transactions.map(t => [t.id, t]));
+    const rows = [];
+
+    snapshot.transactions.forEach(t => {
+        const now = current.get(t.id);
+        if (!now) {
+            rows.push({ id: t.id, status: 'removed', snapshot: t, current: null });
+        } else if (stableStringify(now) !== stableStringify(t)) {
+            rows.push({ id: t.id, status: 'changed', snapshot: t, current: now });
+        }
+    });
+    currentList.forEach(t => {
+        if (!saved.has(t.id)) rows.push({ id: t.id, status: 'added', snapshot: null, current: t });
+    });
+
+    return rows.sort((a, b) => (a.snapshot || a.current).date.localeCompare((b.snapshot || b.current).date));
+}
+
+// The current ledger with the chosen diff rows put back as in the snapshot
+function applySnapshotRows(rows, currentList = transactions) {
+    const byId = new Map(rows.map(row => [row.id, row]));
+    const next = [];
+
+    currentList.forEach(t => {
+        const row = byId.get(t.id);
+        if (!row) {
+            next.push(t);
+        } else if (row.status === 'changed') {
+            next.push(cloneTransactions([row.snapshot])[0]);
+        }
+        // 'added' rows are dropped
+    });
+    rows.filter(row => row.status === 'removed').forEach(row => next.push(cloneTransactions([row.snapshot])[0]));
+
+    return next;
+}
+
+function openSnapshotsModal() {
+    viewingSnapshotId = null;
+    snapshotDiff = [];
+
+    document.getElementById('snapshotMaxCount').value = snapshotSettings.maxCount;
+    document.getElementById('snapshotMaxAge').value = snapshotSettings.maxAgeDays;
+    renderSnapshotList();
+    renderSnapshotDiff();
+
+    document.getElementById('snapshotsModal').style.display = 'flex';
+}
+
+function closeSnapshotsModal() {
+    document.getElementById('snapshotsModal').style.display = 'none';
+    viewingSnapshotId = null;
+    snapshotDiff = [];
+}
+
+function renderSnapshotList() {
+    const tbody = document.getElementById('snapshotListBody');
     if (!tbody) return;
-    
-    tbody.innerHTML = '';
-    
-    const sortedTransactions = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
-    
-    sortedTransactions.forEach((transaction, index) => {
-        const row = document.createElement('tr');
-        row.innerHTML = `
-            <td>${formatDate(transaction.date)}</td>
-            <td class="etf-symbol">${transaction.etf}</td>
-            <td class="action ${transaction.action.toLowerCase()}">${transaction.action}</td>
-            <td>${transaction.shares.toFixed(2)}</td>
-            <td>${formatCurrency(transaction.price)}</td>
-            <td>${formatCurrency(transaction.total)}</td>
-            <td>${transaction.notes || '-'}</td>
-            <td class="actions">
-                <button class="btn-icon" onclick="deleteTransaction(${index})" title="Delete">
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <polyline points="3 6 5 6 21 6"></polyline>
-                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
-                    </svg>
-                </button>
-            </td>
-        `;
-        tbody.appendChild(row);
+
+    tbody.innerHTML = snapshots.map(snapshot => `
+        <tr class="${snapshot.id === viewingSnapshotId ? 'selected-row' : ''}">
+            <td>${new Date(snapshot.createdAt).toLocaleString()}</td>
+            <td>${SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason}${snapshot.detail ? ` <small class="text-muted">${escapeHtml(snapshot.detail)}</small>` : ''}</td>
+            <td>${snapshot.transactions.length}</td>
+            <td><button type="button" class="btn-small" onclick="viewSnapshot('${snapshot.id}')">Compare</button></td>
+        </tr>
+    `).join('') || '<tr><td colspan="4" class="text-muted">No snapshots yet</td></tr>';
+}
+
+function viewSnapshot(id) {
+    const snapshot = getSnapshotById(id);
+    if (!snapshot) return;
+
+    viewingSnapshotId = id;
+    snapshotDiff = diffSnapshot(snapshot).map(row => ({ ...row, include: true }));
+    renderSnapshotList();
+    renderSnapshotDiff();
+}
+
+const SNAPSHOT_DIFF_LABELS = {
+    removed: 'Missing now',
+    changed: 'Changed since',
+    added: 'Added since'
+};
+
+function renderSnapshotDiff() {
+    const section = document.getElementById('snapshotDiffSection');
+    const snapshot = getSnapshotById(viewingSnapshotId);
+    section.style.display = snapshot ? 'block' : 'none';
+    if (!snapshot) return;
+
+    const count = status => snapshotDiff.filter(row => row.status === status).length;
+    const chosen = snapshotDiff.filter(row => row.include).length;
+    document.getElementById('snapshotDiffSummary').textContent = snapshotDiff.length === 0
+        ? `Identical to the current ledger (${snapshot.transactions.length} transactions)`
+        : `${count('removed')} missing now, ${count('changed')} changed, ${count('added')} added since ${new Date(snapshot.createdAt).toLocaleString()}`;
+
+    const describe = t => {
+        if (!t) return '-';
+        const currency = getTransactionCurrency(t);
+        if (CORPORATE_ACTIONS.includes(t.action)) {
+            return `${formatDate(t.date)} ${escapeHtml(t.etf)} ${escapeHtml(describeCorporateAction(t))}`;
+        }
+        return `${formatDate(t.date)} ${formatAction(t.action)} ${escapeHtml(t.etf)} ${AMOUNT_ONLY_ACTIONS.includes(t.action) ? '' : `${formatShares(t.shares)} @ ${formatCurrency(t.price, currency)}`} (${formatCurrency(t.total, currency)})`;
+    };
+
+    document.getElementById('snapshotDiffBody').innerHTML = snapshotDiff.map((row, i) => `
+        <tr class="snapshot-${row.status}">
+            <td><input type="checkbox" data-index="${i}" ${row.include ? 'checked' : ''}></td>
+            <td>${SNAPSHOT_DIFF_LABELS[row.status]}</td>
+            <td>${describe(row.snapshot)}</td>
+            <td>${describe(row.current)}</td>
+        </tr>
+    `).join('');
+
+    document.querySelectorAll('#snapshotDiffBody input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            snapshotDiff[checkbox.dataset.index].include = checkbox.checked;
+            renderSnapshotDiff();
+        });
     });
+
+    document.getElementById('restoreSelectedButton').disabled = chosen === 0;
+    document.getElementById('restoreSelectedButton').textContent = `Restore ${chosen} Selected`;
+    document.getElementById('restoreAllButton').disabled = snapshotDiff.length === 0;
 }
 
-async function addTransaction(event) {
+// Restores the whole snapshot, or only the ticked diff rows when `selectedOnly`
+async function restoreSnapshot(selectedOnly) {
+    const snapshot = getSnapshotById(viewingSnapshotId);
+    if (!snapshot) return;
+
+    const rows = selectedOnly ? snapshotDiff.filter(row => row.include) : snapshotDiff;
+    if (rows.length === 0) return;
+
+    const next = selectedOnly ? applySnapshotRows(rows) : cloneTransactions(snapshot.transactions);
+    const newlyOversold = findOversoldSales(next).length - findOversoldSales(transactions).length;
+
+    let message = selectedOnly
+        ? `Restore ${rows.length} transaction change${rows.length === 1 ? '' : 's'} from this snapshot?`
+        : `Replace the ledger with the ${snapshot.transactions.length} transactions in this snapshot?`;
+    if (newlyOversold > 0) {
+        message += `\n\nThis leaves ${newlyOversold} more sale${newlyOversold === 1 ? '' : 's'} without enough shares.`;
+    }
+    if (!confirm(message)) return;
+
+    await takeSnapshot('RESTORE');
+    await commitLedgerChange(
+        `Restore ${selectedOnly ? `${rows.length} changes` : 'snapshot'} from ${new Date(snapshot.createdAt).toLocaleDateString()}`,
+        next
+    );
+
+    viewSnapshot(snapshot.id);
+    showNotification('Snapshot restored', 'success');
+}
+
+async function saveSnapshotSettings(event) {
     event.preventDefault();
-    
-    const etf = document.getElementById('transactionETF').value.toUpperCase();
-    const action = document.getElementById('transactionAction').value;
-    const shares = parseFloat(document.getElementById('transactionShares').value);
-    const price = parseFloat(document.getElementById('transactionPrice').value);
-    const date = document.getElementById('transactionDate').value;
-    const notes = document.getElementById('transactionNotes').value;
-    
-    const total = shares * price;
-    
-    const transaction = {
-        date,
-        etf,
-        action,
-        shares,
-        price,
-        total,
-        notes
+
+    const maxCount = parseInt(document.getElementById('snapshotMaxCount').value, 10);
+    const maxAgeDays = parseInt(document.getElementById('snapshotMaxAge').value, 10);
+    if (!(maxCount >= 1) || !(maxAgeDays >= 1)) {
+        showNotification('Keep at least 1 snapshot for at least 1 day', 'error');
+        return;
+    }
+
+    snapshotSettings = { maxCount, maxAgeDays };
+    await saveDataToCloud(CONFIG.CLOUD_SNAPSHOT_SETTINGS_KEY, snapshotSettings);
+
+    // Apply the new limits right away
+    const kept = pruneSnapshots(snapshots);
+    if (kept.length !== snapshots.length) {
+        snapshots = kept;
+        await saveSnapshots(snapshots);
+        if (!getSnapshotById(viewingSnapshotId)) viewingSnapshotId = null;
+    }
+
+    renderSnapshotList();
+    renderSnapshotDiff();
+    showNotification('Snapshot retention saved', 'success');
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+async function initializeApp() {
+    showLoadingIndicator('Loading portfolio data...');
+
+    // Load the portfolio registry, moving single-portfolio data into it
+    await loadPortfolioRegistry();
+    snapshotSettings = {
+        ...snapshotSettings,
+        ...await loadDataFromCloud(CONFIG.CLOUD_SNAPSHOT_SETTINGS_KEY)
     };
+    currencySettings = {
+        ...currencySettings,
+        ...await loadDataFromCloud(CONFIG.CLOUD_CURRENCY_SETTINGS_KEY)
+    };
+    riskSettings = {
+        ...riskSettings,
+        ...await loadDataFromCloud(CONFIG.CLOUD_RISK_SETTINGS_KEY)
+    };
+    await loadEtfMetadata();
+
+    // Load the active portfolio's ledger and settings
+    await loadActivePortfolio();
+    await loadPortfolioCache();
     
-    transactions.push(transaction);
-    await saveTransactionsToCloud();
-    
-    recalculatePortfolioFromTransactions();
+    // Load price sources, cached prices and daily close history
+    const savedPriceSettings = await loadDataFromCloud(CONFIG.CLOUD_PRICE_SETTINGS_KEY);
+    priceSettings = {
+        ...CONFIG.PRICE_PROVIDERS,
+        ...savedPriceSettings,
+        enabled: { ...CONFIG.PRICE_PROVIDERS.enabled, ...(savedPriceSettings && savedPriceSettings.enabled) }
+    };
+    manualPrices = await loadDataFromCloud(CONFIG.CLOUD_MANUAL_PRICES_KEY) || {};
+    await loadCachedPrices();
+    priceHistory = await loadDataFromCloud(CONFIG.CLOUD_PRICE_HISTORY_KEY) || {};
     
+    // Render UI
+    renderPortfolioSwitcher();
+    renderBaseCurrencySelect();
     renderDashboard();
     renderTransactions();
     renderStrategy();
+    renderAlerts();
     
-    closeTransactionModal();
-    showNotification('Transaction added successfully', 'success');
-}
-
-async function deleteTransaction(index) {
-    if (!confirm('Are you sure you want to delete this transaction?')) return;
-    
-    const sortedTransactions = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
-    const transactionToDelete = sortedTransactions[index];
-    
-    const actualIndex = transactions.findIndex(t => 
-        t.date === transactionToDelete.date && 
-        t.etf === transactionToDelete.etf && 
-        t.shares === transactionToDelete.shares &&
-        t.price === transactionToDelete.price
-    );
-    
-    transactions.splice(actualIndex, 1);
-    await saveTransactionsToCloud();
+    // Fetch fresh prices
+    await fetchCurrentPrices();
     
-    recalculatePortfolioFromTransactions();
+    // Setup automatic updates
+    setupAutomaticUpdates();
+    setupEventListeners();
+    updateLastUpdated();
     
-    renderDashboard();
-    renderTransactions();
-    renderStrategy();
+    hideLoadingIndicator();
     
-    showNotification('Transaction deleted', 'info');
+    // Show storage status
+    showStorageStatus();
 }
 
 // ============================================================================
-// PRICE UPDATES
+// PORTFOLIOS
 // ============================================================================
 
-function isMarketHours() {
-    const now = new Date();
-    const day = now.getUTCDay();
-    const hours = now.getUTCHours();
-    
-    if (day === 0 || day === 6) return false;
-    return hours >= 13 && hours < 22;
+// Keys stored once per portfolio. Prices and price history are shared.
+const PORTFOLIO_SCOPED_KEYS = [
+    CONFIG.CLOUD_RESERVES_KEY,
+    CONFIG.CLOUD_TARGETS_KEY,
+    CONFIG.CLOUD_HISTORY_KEY,
+    CONFIG.CLOUD_STRATEGIES_KEY,
+    CONFIG.CLOUD_ALERTS_KEY,
+    CONFIG.CLOUD_SNAPSHOTS_KEY
+];
+
+async function loadPortfolioRegistry() {
+    const { data: savedRegistry, unavailable } = await readDataFromCloud(CONFIG.CLOUD_PORTFOLIOS_KEY);
+
+    if (savedRegistry && savedRegistry.portfolios && savedRegistry.portfolios.length > 0) {
+        portfolioRegistry = savedRegistry;
+        if (!getPortfolioMeta(portfolioRegistry.active)) {
+            portfolioRegistry.active = portfolioRegistry.portfolios[0].id;
+        }
+        return;
+    }
+
+    portfolioRegistry = {
+        active: CONFIG.DEFAULT_PORTFOLIO_ID,
+        portfolios: [{ id: CONFIG.DEFAULT_PORTFOLIO_ID, name: 'Main', createdAt: Date.now() }]
+    };
+
+    // A registry that couldn't be read is not a missing one: saving this
+    // default over it would drop every other portfolio
+    if (unavailable) {
+        console.warn('⚠️ Portfolio list could not be loaded; showing the default portfolio without saving it');
+        return;
+    }
+
+    // Until the move has happened the registry stays unsaved, so it is retried
+    if (await migrateLegacyStorage()) {
+        await saveDataToCloud(CONFIG.CLOUD_PORTFOLIOS_KEY, portfolioRegistry);
+    }
 }
 
-async function fetchCurrentPrices(isAutoUpdate = false) {
-    const activeETFs = portfolio.filter(p => p.shares > 0).map(p => p.etf);
-    if (activeETFs.length === 0) return;
-    
-    const symbols = activeETFs.join(',');
-    
-    if (isAutoUpdate) showUpdateIndicator();
-    
+// Copies data saved under the original un-namespaced keys into the default
+// portfolio. The old keys are left in place as a backup; a flag records the
+// move so they are never copied over the default portfolio again. Everything
+// is read before anything is written, and false is returned when some of it
+// couldn't be read.
+async function migrateLegacyStorage() {
+    const defaultId = CONFIG.DEFAULT_PORTFOLIO_ID;
+
+    const migrated = await readDataFromCloud(CONFIG.CLOUD_MIGRATION_KEY);
+    if (migrated.unavailable) return false;
+    if (migrated.data) return true;
+
+    let legacyTransactions;
+    const legacySettings = {};
     try {
-        console.log(`Fetching prices for: ${symbols}`);
-        
-        const response = await fetch(`https://yahoo-finance-proxy.aga-b10.workers.dev/?symbols=${symbols}`);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
-        }
-        
-        const data = await response.json();
-        
-        if (data.quoteResponse && data.quoteResponse.result) {
-            let pricesUpdated = false;
-            data.quoteResponse.result.forEach(quote => {
-                const newPrice = quote.regularMarketPrice || 0;
-                if (newPrice > 0) {
-                    currentPrices[quote.symbol] = newPrice;
-                    pricesUpdated = true;
-                }
-            });
-            
-            if (pricesUpdated) {
-                lastPriceUpdate = new Date();
-                await savePricesToCloud();
-                renderDashboard();
-                updateLastUpdated();
-                console.log('✅ Prices updated at', lastPriceUpdate);
-            }
+        legacyTransactions = await loadLedgerFromKeys(CONFIG.CLOUD_STORAGE_KEY, CONFIG.LOCAL_BACKUP_KEY);
+        for (const key of PORTFOLIO_SCOPED_KEYS) {
+            const legacy = await readDataFromCloud(key);
+            if (legacy.unavailable) throw new Error(`${key} could not be read`);
+            if (legacy.data) legacySettings[key] = legacy.data;
         }
     } catch (error) {
-        console.warn('⚠️ Unable to fetch live prices:', error.message);
-        if (!lastPriceUpdate) {
-            lastPriceUpdate = new Date();
+        console.error('Legacy data migration postponed:', error);
+        return false;
+    }
+
+    if (legacyTransactions && legacyTransactions.length > 0) {
+        await saveTransactionsToCloud(legacyTransactions, defaultId);
+        console.log(`📦 Moved ${legacyTransactions.length} transactions into the default portfolio`);
+    }
+
+    for (const [key, legacyData] of Object.entries(legacySettings)) {
+        await saveDataToCloud(getPortfolioKey(key, defaultId), legacyData);
+    }
+
+    await saveDataToCloud(CONFIG.CLOUD_MIGRATION_KEY, { migratedAt: Date.now() });
+    return true;
+}
+
+function getPortfolioMeta(portfolioId = portfolioRegistry.active) {
+    return portfolioRegistry.portfolios.find(p => p.id === portfolioId) || null;
+}
+
+// Loads the active portfolio's ledger, reserves, targets, undo history and
+// strategy notes into the global state and rebuilds positions
+async function loadActivePortfolio() {
+    const portfolioId = portfolioRegistry.active;
+    const isDefault = portfolioId === CONFIG.DEFAULT_PORTFOLIO_ID;
+    const { transactions: savedTransactions, changed, unavailable } = await syncLedger(portfolioId);
+
+    // Seed only a ledger that was never saved; an emptied ledger stays empty,
+    // and one that couldn't be read is neither seeded nor pushed
+    if (unavailable) {
+        transactions = [];
+        showNotification('Could not load transactions from cloud storage. Reload to try again.', 'error');
+    } else if (savedTransactions) {
+        transactions = savedTransactions;
+        console.log(`Loaded ${transactions.length} transactions from storage`);
+
+        if (migrateTransactionIds(transactions)) {
+            await saveTransactionsToCloud();
+            console.log('Assigned stable IDs to stored transactions');
         }
-    } finally {
-        if (isAutoUpdate) hideUpdateIndicator();
+    } else if (isDefault) {
+        // First run on a device with nothing stored locally or in the cloud
+        transactions = initialTransactions.map(t => ({ ...t }));
+        migrateTransactionIds(transactions);
+        await saveTransactionsToCloud();
+        console.log('Initialized with default transactions');
+    } else {
+        transactions = [];
+    }
+
+    // Undo entries from before changes pulled from another device would undo those too
+    ledgerHistory = await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_HISTORY_KEY)) || { undo: [], redo: [] };
+    if (changed) await clearLedgerHistory();
+    reserves = await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_RESERVES_KEY)) || {};
+
+    const savedTargets = await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_TARGETS_KEY));
+    targetAllocation = {
+        weights: {},
+        tolerance: CONFIG.REBALANCE.defaultTolerance,
+        mode: CONFIG.REBALANCE.defaultMode,
+        cash: 0,
+        ...savedTargets
+    };
+
+    const savedJournal = await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_STRATEGIES_KEY));
+    strategyJournal = normalizeStrategyJournal(savedJournal || (isDefault ? etfStrategies : {}));
+
+    alertState = await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_ALERTS_KEY)) || { rules: [], history: [] };
+
+    snapshots = await loadSnapshots(portfolioId);
+    selectedTransactionIds = new Set();
+    await takeDailySnapshot();
+
+    recalculatePortfolioFromTransactions();
+}
+
+// Ledgers and reserves of the other portfolios, for the consolidated view
+async function loadPortfolioCache() {
+    portfolioCache = {};
+
+    for (const meta of portfolioRegistry.portfolios) {
+        if (meta.id === portfolioRegistry.active) continue;
+        portfolioCache[meta.id] = {
+            transactions: await loadTransactionsFromCloud(meta.id) || [],
+            reserves: await loadDataFromCloud(getPortfolioKey(CONFIG.CLOUD_RESERVES_KEY, meta.id)) || {}
+        };
     }
 }
 
-function setupAutomaticUpdates() {
-    if (priceUpdateInterval) clearInterval(priceUpdateInterval);
-    
-    const updateInterval = isMarketHours() 
-        ? CONFIG.PRICE_UPDATE.marketHoursInterval 
-        : CONFIG.PRICE_UPDATE.afterHoursInterval;
-    
-    console.log(`Setting up price updates every ${updateInterval / 1000 / 60} minutes`);
-    
-    priceUpdateInterval = setInterval(() => {
-        console.log('Automatic price update triggered');
-        fetchCurrentPrices(true);
-    }, updateInterval);
-    
-    document.addEventListener('visibilitychange', () => {
-        if (!document.hidden) {
-            const timeSinceUpdate = lastPriceUpdate 
-                ? Date.now() - lastPriceUpdate.getTime() 
-                : Infinity;
-            
-            if (timeSinceUpdate > CONFIG.PRICE_UPDATE.staleThreshold) {
-                console.log('Page visible after long period, fetching fresh prices');
-                fetchCurrentPrices(true);
-            }
-        }
-    });
+async function switchPortfolio(portfolioId) {
+    if (portfolioId === portfolioRegistry.active || !getPortfolioMeta(portfolioId)) return;
+
+    showLoadingIndicator('Loading portfolio...');
+
+    portfolioCache[portfolioRegistry.active] = { transactions, reserves };
+    delete portfolioCache[portfolioId];
+
+    portfolioRegistry.active = portfolioId;
+    await saveDataToCloud(CONFIG.CLOUD_PORTFOLIOS_KEY, portfolioRegistry);
+    await loadActivePortfolio();
+
+    renderPortfolioSwitcher();
+    renderDashboard();
+    renderTransactions();
+    renderStrategy();
+    renderAlerts();
+    updateUndoButtons();
+    if (document.getElementById('performance').classList.contains('active')) renderPerformance();
+    if (document.getElementById('risk').classList.contains('active')) renderRisk();
+    if (document.getElementById('scenarios').classList.contains('active')) renderScenarios();
+
+    hideLoadingIndicator();
+    showNotification(`Switched to ${getPortfolioMeta().name}`, 'info');
+}
+
+async function createPortfolio() {
+    const name = (prompt('Name for the new portfolio (e.g. Taxable, IRA):') || '').trim();
+    if (!name) return;
+
+    if (portfolioRegistry.portfolios.some(p => p.name.toLowerCase() === name.toLowerCase())) {
+        showNotification(`A portfolio named "${name}" already exists`, 'error');
+        return;
+    }
+
+    const meta = { id: generateId('pf'), name, createdAt: Date.now() };
+    portfolioRegistry.portfolios.push(meta);
+    await saveDataToCloud(CONFIG.CLOUD_PORTFOLIOS_KEY, portfolioRegistry);
+
+    await switchPortfolio(meta.id);
+}
+
+async function renamePortfolio() {
+    const meta = getPortfolioMeta();
+    const name = (prompt('Rename portfolio:', meta.name) || '').trim();
+    if (!name || name === meta.name) return;
+
+    meta.name = name;
+    await saveDataToCloud(CONFIG.CLOUD_PORTFOLIOS_KEY, portfolioRegistry);
+    renderPortfolioSwitcher();
+    renderConsolidatedView();
+}
+
+async function deletePortfolio() {
+    if (portfolioRegistry.portfolios.length <= 1) {
+        showNotification('The last portfolio cannot be deleted', 'error');
+        return;
+    }
+
+    const meta = getPortfolioMeta();
+    if (!confirm(`Delete the "${meta.name}" portfolio and all of its transactions? Export a backup first if unsure.`)) return;
+
+    portfolioRegistry.portfolios = portfolioRegistry.portfolios.filter(p => p.id !== meta.id);
+    const nextId = portfolioRegistry.portfolios[0].id;
+
+    // Clear the namespaced keys so a new portfolio can never pick them up
+    await saveTransactionsToCloud([], meta.id);
+    for (const key of PORTFOLIO_SCOPED_KEYS) {
+        await saveDataToCloud(getPortfolioKey(key, meta.id), null);
+    }
+
+    portfolioRegistry.active = nextId;
+    delete portfolioCache[nextId];
+    await saveDataToCloud(CONFIG.CLOUD_PORTFOLIOS_KEY, portfolioRegistry);
+    await loadActivePortfolio();
+
+    renderPortfolioSwitcher();
+    renderDashboard();
+    renderTransactions();
+    renderStrategy();
+    renderAlerts();
+    updateUndoButtons();
+
+    showNotification(`Deleted portfolio "${meta.name}"`, 'info');
+}
+
+function renderPortfolioSwitcher() {
+    const select = document.getElementById('portfolioSelect');
+    if (!select) return;
+
+    select.innerHTML = portfolioRegistry.portfolios
+        .map(p => `<option value="${p.id}">${escapeHtml(p.name)}</option>`)
+        .join('');
+    select.value = portfolioRegistry.active;
+
+    document.getElementById('deletePortfolioButton').disabled = portfolioRegistry.portfolios.length <= 1;
+}
+
+// calculateMetrics() for every portfolio plus a combined total. The active
+// portfolio uses live state; the rest are rebuilt from their cached ledgers.
+function calculateConsolidatedMetrics() {
+    const rows = portfolioRegistry.portfolios.map(meta => {
+        const isActive = meta.id === portfolioRegistry.active;
+        const data = isActive ? { transactions, reserves } : (portfolioCache[meta.id] || { transactions: [], reserves: {} });
+        const positions = isActive ? portfolio : buildPortfolio(data.transactions, data.reserves);
+
+        return {
+            id: meta.id,
+            name: meta.name,
+            isActive,
+            positions: positions.filter(p => p.shares > 0).length,
+            metrics: calculateMetrics(positions, data.transactions)
+        };
+    });
+
+    const summed = ['totalInvested', 'holdingsValue', 'cashBalance', 'totalFees', 'totalInterest', 'totalValue',
+        'totalReserved', 'totalGainLoss', 'totalRealized', 'totalDividends', 'totalReturn'];
+    const total = {};
+    summed.forEach(field => {
+        total[field] = rows.reduce((sum, row) => sum + row.metrics[field], 0);
+    });
+    total.cashTracked = rows.some(row => row.metrics.cashTracked);
+    total.gainLossPercent = total.totalInvested > 0 ? (total.totalGainLoss / total.totalInvested) * 100 : 0;
+    total.totalReturnPercent = total.totalInvested > 0 ? (total.totalReturn / total.totalInvested) * 100 : 0;
+
+    return { rows, total };
+}
+
+function renderConsolidatedView() {
+    const section = document.getElementById('consolidatedSection');
+    if (!section) return;
+
+    // Only worth showing once there is more than one portfolio
+    section.style.display = portfolioRegistry.portfolios.length > 1 ? 'block' : 'none';
+    if (portfolioRegistry.portfolios.length <= 1) return;
+
+    const { rows, total } = calculateConsolidatedMetrics();
+    const renderRow = (label, metrics, positions, extraClass = '') => `
+        <tr class="${extraClass}">
+            <td>${label}</td>
+            <td>${formatCurrency(metrics.totalValue)}</td>
+            <td>${formatCurrency(metrics.totalInvested)}</td>
+            <td>${metrics.cashTracked ? formatCurrency(metrics.cashBalance) : '-'}</td>
+            <td class="${metrics.totalGainLoss >= 0 ? 'positive' : 'negative'}">
+                ${formatCurrency(metrics.totalGainLoss)} (${metrics.gainLossPercent.toFixed(2)}%)
+            </td>
+            <td class="${metrics.totalRealized >= 0 ? 'positive' : 'negative'}">${formatCurrency(metrics.totalRealized)}</td>
+            <td>${formatCurrency(metrics.totalDividends)}</td>
+            <td class="${metrics.totalReturn >= 0 ? 'positive' : 'negative'}">
+                ${formatCurrency(metrics.totalReturn)} (${metrics.totalReturnPercent.toFixed(2)}%)
+            </td>
+            <td>${positions}</td>
+        </tr>
+    `;
+
+    document.getElementById('consolidatedBody').innerHTML = rows.map(row => renderRow(
+        row.isActive
+            ? `<strong>${escapeHtml(row.name)}</strong> <span class="text-muted">(current)</span>`
+            : `<a href="#" class="portfolio-link" onclick="switchPortfolio('${row.id}'); return false;">${escapeHtml(row.name)}</a>`,
+        row.metrics,
+        row.positions
+    )).join('') + renderRow(
+        '<strong>All Portfolios</strong>',
+        total,
+        rows.reduce((sum, row) => sum + row.positions, 0),
+        'total-row'
+    );
+}
+
+async function loadCachedPrices() {
+    const cloudPrices = await loadPricesFromCloud();
+    
+    if (cloudPrices && cloudPrices.prices) {
+        currentPrices = cloudPrices.prices;
+        lastPriceUpdate = new Date(cloudPrices.timestamp);
+
+        // Caches from before price providers only had one timestamp
+        priceMeta = cloudPrices.meta || {};
+        Object.keys(currentPrices).forEach(etf => {
+            if (!priceMeta[etf]) priceMeta[etf] = { provider: 'proxy', timestamp: cloudPrices.timestamp };
+        });
+        console.log('Loaded cached prices from cloud:', lastPriceUpdate);
+    } else {
+        // Fallback prices. They have no provider metadata, so every one is
+        // marked as a placeholder until a provider replaces it.
+        currentPrices = {
+            'SOXX': 348.51,
+            'IWM': 265.02,
+            'SCHD': 31.47,
+            'IAU': 93.24,
+            'SLV': 70.19,
+            'VTI': 340.96
+        };
+        priceMeta = {};
+        console.log('Using fallback prices for initial display');
+    }
+}
+
+// ============================================================================
+// PORTFOLIO CALCULATION
+// ============================================================================
+
+function recalculatePortfolioFromTransactions() {
+    portfolio = buildPortfolio(transactions);
+    console.log('Portfolio recalculated:', portfolio.length, 'positions');
+
+    // Ledgers saved before validation existed may still oversell
+    findOversoldSales(transactions).forEach(({ transaction, held }) => {
+        console.warn(`⚠️ SELL of ${transaction.shares} ${transaction.etf} on ${transaction.date} exceeds the ${held} shares held`);
+    });
+}
+
+// Replays a ledger in date order and returns the resulting positions.
+// Every BUY becomes a tax lot; every SELL relieves lots and records a sale.
+// `onStep(transaction, position)` is called after each transaction has been
+// applied, for callers that need the state along the way.
+function buildPortfolio(transactionList, reservePlans = reserves, onStep = null) {
+    const positions = [];
+    const buyCounts = {};
+
+    sortTransactionsChronologically(transactionList).forEach(t => {
+        if (CASH_ACTIONS.includes(t.action)) return;
+
+        let position = positions.find(p => p.etf === t.etf);
+
+        if (!position) {
+            position = createPosition(t.etf, getTransactionCurrency(t));
+            positions.push(position);
+        }
+
+        if (LOT_ACTIONS.includes(t.action)) {
+            buyCounts[t.etf] = (buyCounts[t.etf] || 0) + 1;
+            position.lots.push({
+                id: getLotId(t, buyCounts[t.etf]),
+                date: t.date,
+                shares: t.shares,
+                remaining: t.shares,
+                price: t.price,
+                costPerShare: t.shares > 0 ? t.total / t.shares : 0
+            });
+        } else if (t.action === 'SELL') {
+            recordSale(position, t);
+        } else if (t.action === 'RETURN_OF_CAPITAL') {
+            applyReturnOfCapital(position, t);
+        } else if (t.action === 'SPLIT' || t.action === 'REVERSE_SPLIT') {
+            scaleLots(position.lots, getSplitFactor(t));
+        } else if (t.action === 'SYMBOL_CHANGE') {
+            let successor = positions.find(p => p.etf === t.newSymbol);
+            if (!successor) {
+                successor = createPosition(t.newSymbol, position.currency);
+                positions.push(successor);
+            }
+            moveLots(position, successor, t.ratio || 1);
+            updatePositionTotals(successor);
+            if (onStep) onStep(t, successor);
+        }
+
+        if (INCOME_ACTIONS.includes(t.action)) {
+            position.dividends += t.total;
+            position.income.push({ date: t.date, amount: t.total, transaction: t });
+        }
+
+        updatePositionTotals(position);
+        if (onStep) onStep(t, position);
+    });
+
+    applyReservePlans(positions, transactionList, reservePlans);
+
+    return positions;
+}
+
+function createPosition(etf, currency = currencySettings.etfCurrencies[etf] || 'USD') {
+    return {
+        etf,
+        currency,         // Prices and amounts below are in this currency
+        shares: 0,
+        avgEntry: 0,
+        invested: 0,
+        reserved: 0,
+        realized: 0,
+        dividends: 0,
+        income: [],
+        lots: [],
+        sales: [],
+        strategy: (strategyJournal[etf] && strategyJournal[etf].thesis) || 'Add strategy notes'
+    };
+}
+
+// Reserved capital is the ETF's budget minus the cost of BUYs that filled one
+// of its planned tranches. ETFs with a budget but no fills yet still get a
+// position so the reserve shows up in the totals and the Strategy tab.
+function applyReservePlans(positions, transactionList, reservePlans) {
+    Object.entries(reservePlans || {}).forEach(([etf, plan]) => {
+        let position = positions.find(p => p.etf === etf);
+        if (!position) {
+            position = createPosition(etf);
+            positions.push(position);
+        }
+
+        const trancheIds = (plan.tranches || []).map(tranche => tranche.id);
+        const deployed = transactionList
+            .filter(t => t.etf === etf && t.action === 'BUY' && trancheIds.includes(t.tranche))
+            .reduce((sum, t) => sum + t.total, 0);
+
+        position.reserved = Math.max(0, (plan.budget || 0) - deployed);
+    });
+}
+
+function sortTransactionsChronologically(transactionList) {
+    // Array.prototype.sort is stable, so same-day fills keep their entry order.
+    // Corporate actions take effect at the open, before that day's trades.
+    const isCorporate = t => (CORPORATE_ACTIONS.includes(t.action) ? 1 : 0);
+    return [...transactionList].sort((a, b) => new Date(a.date) - new Date(b.date) || isCorporate(b) - isCorporate(a));
+}
+
+// A lot is identified by the ID of the transaction that opened it. Ledgers
+// from before stable IDs fall back to purchase date plus the lot's ordinal.
+function getLotId(transaction, ordinal) {
+    return transaction.id || `${transaction.date}#${ordinal}`;
+}
+
+function recordSale(position, t) {
+    const method = t.lotMethod || CONFIG.COST_BASIS_METHOD;
+    // Oversold ledgers are reported once, by recalculatePortfolioFromTransactions
+    const sharesSold = Math.min(t.shares, position.shares);
+    if (sharesSold <= SHARE_EPSILON) return;
+
+    const lotsUsed = relieveLots(position.lots, sharesSold, method, t.lotSelections);
+    const costBasis = lotsUsed.reduce((sum, lot) => sum + lot.cost, 0);
+    const proceeds = t.total * (sharesSold / t.shares);
+    const gain = proceeds - costBasis;
+
+    position.realized += gain;
+    position.sales.push({
+        transaction: t,
+        date: t.date,
+        shares: sharesSold,
+        proceeds,
+        costBasis,
+        gain,
+        method,
+        lots: lotsUsed
+    });
+}
+
+// Return of capital lowers the cost basis of every open lot pro rata. Any
+// amount beyond the remaining basis is a capital gain.
+function applyReturnOfCapital(position, t) {
+    const openLots = position.lots.filter(lot => lot.remaining > SHARE_EPSILON);
+    const basis = openLots.reduce((sum, lot) => sum + lot.remaining * lot.costPerShare, 0);
+    const reduction = Math.min(t.total, basis);
+    const factor = basis > 0 ? (basis - reduction) / basis : 0;
+
+    openLots.forEach(lot => {
+        lot.costPerShare *= factor;
+    });
+
+    const excess = t.total - reduction;
+    if (excess > 0) {
+        position.realized += excess;
+        position.sales.push({
+            transaction: t,
+            date: t.date,
+            shares: 0,
+            proceeds: excess,
+            costBasis: 0,
+            gain: excess,
+            method: 'RETURN_OF_CAPITAL',
+            lots: []
+        });
+    }
+}
+
+// Multiplier a split applies to share counts (4-for-1 = 4, 1-for-10 = 0.1)
+function getSplitFactor(t) {
+    if (t.action === 'SPLIT') return t.ratio;
+    if (t.action === 'REVERSE_SPLIT') return 1 / t.ratio;
+    return 1;
+}
+
+// Rescales open lots to a new share count. Cost per share moves the other
+// way, so each lot's cost and the position's total invested are unchanged.
+function scaleLots(lots, factor) {
+    lots.filter(lot => lot.remaining > SHARE_EPSILON).forEach(lot => {
+        lot.shares *= factor;
+        lot.remaining *= factor;
+        lot.price /= factor;
+        lot.costPerShare /= factor;
+    });
+}
+
+// Hands the open lots of a renamed or merged ETF to its successor. Lots keep
+// their IDs and purchase dates, so holding periods and specific-lot sales
+// carry over; realized gains and income stay with the old symbol.
+function moveLots(from, to, ratio) {
+    const openLots = from.lots.filter(lot => lot.remaining > SHARE_EPSILON);
+    scaleLots(openLots, ratio);
+
+    from.lots = from.lots.filter(lot => !openLots.includes(lot));
+    to.lots = [...to.lots, ...openLots].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+// Product of the splits of an ETF after `dateKey`: the number of today's
+// shares one share held on that date became. Prices observed on the date
+// are divided by it to be comparable with today's.
+function getShareFactorAfter(etf, dateKey, transactionList = transactions) {
+    return transactionList
+        .filter(t => t.etf === etf && t.date > dateKey && (t.action === 'SPLIT' || t.action === 'REVERSE_SPLIT'))
+        .reduce((factor, t) => factor * getSplitFactor(t), 1);
+}
+
+// The symbols whose history continues under `etf`: the ETF itself and every
+// symbol it was renamed or merged from, however many changes back
+function getSymbolLineage(etf, transactionList = transactions, visited = new Set()) {
+    visited.add(etf);
+    transactionList
+        .filter(t => t.action === 'SYMBOL_CHANGE' && t.newSymbol === etf && !visited.has(t.etf))
+        .forEach(t => getSymbolLineage(t.etf, transactionList, visited));
+    return [...visited];
+}
+
+// Where one share of `etf` held at the end of `dateKey` ended up: the symbol
+// it trades under today and how many of today's shares it became through
+// later splits, renames and mergers
+function traceShareForward(etf, dateKey, transactionList = transactions) {
+    const changes = sortTransactionsChronologically(transactionList).filter(t => t.action === 'SYMBOL_CHANGE');
+    const visited = new Set();
+    let symbol = etf;
+    let since = dateKey;
+    let factor = 1;
+
+    while (!visited.has(symbol)) {
+        visited.add(symbol);
+        const change = changes.find(t => t.etf === symbol && t.date > since);
+
+        factor *= transactionList
+            .filter(t => t.etf === symbol && t.date > since && (!change || t.date <= change.date) &&
+                (t.action === 'SPLIT' || t.action === 'REVERSE_SPLIT'))
+            .reduce((product, t) => product * getSplitFactor(t), 1);
+        if (!change) break;
+
+        factor *= change.ratio || 1;
+        symbol = change.newSymbol;
+        since = change.date;
+    }
+
+    return { symbol, factor };
+}
+
+// The symbol change that handed a position's last shares to a successor, or
+// null when it was closed by selling
+function getSymbolChangeOut(position, transactionList = transactions) {
+    if (position.shares > SHARE_EPSILON) return null;
+
+    const change = transactionList.find(t => t.action === 'SYMBOL_CHANGE' && t.etf === position.etf);
+    if (!change || position.sales.some(sale => sale.date > change.date)) return null;
+    return change;
+}
+
+function describeCorporateAction(t) {
+    if (t.action === 'SPLIT') return `${formatShares(t.ratio)}-for-1 split`;
+    if (t.action === 'REVERSE_SPLIT') return `1-for-${formatShares(t.ratio)} reverse split`;
+    return `Now ${t.newSymbol}${t.ratio && t.ratio !== 1 ? ` (${formatShares(t.ratio)} per share)` : ''}`;
+}
+
+// Cash is only tracked from the first cash entry on: trades dated before it
+// were paid for from outside the app, so they don't touch the balance.
+function getCashTrackingStart(transactionList) {
+    return transactionList
+        .filter(t => CASH_ACTIONS.includes(t.action))
+        .reduce((earliest, t) => (earliest === null || t.date < earliest ? t.date : earliest), null);
+}
+
+// Balances are kept per currency and valued in the base currency at today's
+// rates; fees and interest are converted at the rate of their date. With
+// `asOfDate`, only entries up to that date count.
+function calculateCashSummary(transactionList = transactions, asOfDate = null) {
+    const since = getCashTrackingStart(transactionList);
+    const summary = {
+        tracked: since !== null && (!asOfDate || since <= asOfDate),
+        since,
+        balance: 0,
+        byCurrency: {},
+        fees: 0,
+        interest: 0
+    };
+    if (!summary.tracked) return summary;
+
+    transactionList.forEach(t => {
+        if (t.date < since || (asOfDate && t.date > asOfDate)) return;
+        const currency = getTransactionCurrency(t);
+        summary.byCurrency[currency] = (summary.byCurrency[currency] || 0) + (CASH_FLOW_SIGN[t.action] || 0) * t.total;
+        if (t.action === 'FEE') summary.fees += convertCurrency(t.total, currency, t.date);
+        if (t.action === 'INTEREST') summary.interest += convertCurrency(t.total, currency, t.date);
+    });
+
+    Object.entries(summary.byCurrency).forEach(([currency, balance]) => {
+        summary.balance += convertCurrency(balance, currency);
+    });
+
+    return summary;
+}
+
+// Trailing-12-month distributions as a percentage of current cost basis
+function calculateYieldOnCost(position, asOf = new Date()) {
+    if (position.invested <= 0) return 0;
+
+    const cutoff = new Date(asOf);
+    cutoff.setFullYear(cutoff.getFullYear() - 1);
+
+    const trailingIncome = position.income
+        .filter(entry => new Date(entry.date) > cutoff && new Date(entry.date) <= asOf)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+
+    return (trailingIncome / position.invested) * 100;
+}
+
+// Removes `shares` from the open lots according to the relief method and
+// returns the slices that were consumed.
+function relieveLots(lots, shares, method, selections = []) {
+    const openLots = lots.filter(lot => lot.remaining > SHARE_EPSILON);
+    const used = [];
+    let remainingToSell = shares;
+
+    const take = (lot, quantity) => {
+        const sharesTaken = Math.min(quantity, lot.remaining);
+        if (sharesTaken <= SHARE_EPSILON) return 0;
+
+        lot.remaining -= sharesTaken;
+        if (lot.remaining < SHARE_EPSILON) lot.remaining = 0;
+
+        const existing = used.find(u => u.lot === lot.id);
+        if (existing) {
+            existing.shares += sharesTaken;
+            existing.cost += sharesTaken * lot.costPerShare;
+        } else {
+            used.push({
+                lot: lot.id,
+                acquired: lot.date,
+                shares: sharesTaken,
+                cost: sharesTaken * lot.costPerShare
+            });
+        }
+        return sharesTaken;
+    };
+
+    if (method === 'AVERAGE') {
+        // Relieve every lot pro rata so the average cost per share is unchanged
+        const totalOpen = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+        const fraction = totalOpen > 0 ? Math.min(shares / totalOpen, 1) : 0;
+        openLots.forEach(lot => take(lot, lot.remaining * fraction));
+        return used;
+    }
+
+    if (method === 'SPECIFIC') {
+        (selections || []).forEach(selection => {
+            const lot = openLots.find(l => l.id === selection.lot);
+            if (lot && remainingToSell > SHARE_EPSILON) {
+                remainingToSell -= take(lot, Math.min(selection.shares, remainingToSell));
+            }
+        });
+
+        if (remainingToSell > SHARE_EPSILON) {
+            console.warn(`⚠️ Lot selection short by ${remainingToSell} shares, relieving the rest FIFO`);
+        }
+    }
+
+    const ordered = method === 'LIFO' ? [...openLots].reverse() : openLots;
+    for (const lot of ordered) {
+        if (remainingToSell <= SHARE_EPSILON) break;
+        remainingToSell -= take(lot, remainingToSell);
+    }
+
+    return used;
+}
+
+function updatePositionTotals(position) {
+    const openLots = position.lots.filter(lot => lot.remaining > SHARE_EPSILON);
+    const shares = openLots.reduce((sum, lot) => sum + lot.remaining, 0);
+
+    if (shares <= SHARE_EPSILON) {
+        position.shares = 0;
+        position.avgEntry = 0;
+        position.invested = 0;
+        return;
+    }
+
+    position.shares = shares;
+    position.invested = openLots.reduce((sum, lot) => sum + lot.remaining * lot.costPerShare, 0);
+    position.avgEntry = position.invested / shares;
+}
+
+// Open lots for an ETF. When a SELL is being edited (`excludeId`) its own lot
+// relief is left out so the lots it consumed show as available again; with
+// `asOfDate` the lots are those open at the end of that date, not today.
+function getOpenLots(etf, excludeId = null, asOfDate = null) {
+    const positions = excludeId || asOfDate
+        ? buildPortfolio(transactions.filter(t => t.id !== excludeId && (!asOfDate || t.date <= asOfDate)))
+        : portfolio;
+    const position = positions.find(p => p.etf === etf);
+    return position ? position.lots.filter(lot => lot.remaining > SHARE_EPSILON) : [];
+}
+
+function findSaleForTransaction(transaction) {
+    for (const position of portfolio) {
+        const sale = position.sales.find(s => s.transaction === transaction);
+        if (sale) return sale;
+    }
+    return null;
+}
+
+function getRealizedGainsByYear(positionList = portfolio) {
+    const byYear = {};
+
+    positionList.forEach(position => {
+        position.sales.forEach(sale => {
+            const year = sale.date.slice(0, 4);
+            byYear[year] = (byYear[year] || 0) + getSaleInBase(sale, position.currency).gain;
+        });
+    });
+
+    return byYear;
+}
+
+// ============================================================================
+// RETURN CALCULATIONS (XIRR / TWR)
+// ============================================================================
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function toDateKey(date) {
+    return new Date(date).toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+    return (new Date(to) - new Date(from)) / MS_PER_DAY;
+}
+
+// Observations per symbol while withPriceObservationCache() is running
+let priceObservationCache = null;
+
+// Known prices for an ETF as { 'YYYY-MM-DD': price }: fill prices from the
+// ledger (unless `includeFills` is off), overridden by stored daily closes,
+// overridden by today's quote (unless `includeLive` is off).
+// A renamed or merged ETF continues its predecessor's history. Stored prices
+// stay as quoted; they are adjusted for later splits here, on the way out,
+// so deleting or correcting a corporate action needs no clean-up.
+function getPriceObservations(etf, { includeFills = true, includeLive = true } = {}, visited = new Set()) {
+    const cacheKey = `${etf}|${includeFills}|${includeLive}`;
+    const isTopLevel = visited.size === 0;
+    if (priceObservationCache && isTopLevel && priceObservationCache[cacheKey]) {
+        return priceObservationCache[cacheKey];
+    }
+
+    const observations = {};
+    visited.add(etf);
+
+    transactions
+        .filter(t => t.action === 'SYMBOL_CHANGE' && t.newSymbol === etf && !visited.has(t.etf))
+        .forEach(t => {
+            Object.entries(getPriceObservations(t.etf, { includeFills, includeLive }, visited)).forEach(([date, price]) => {
+                if (date < t.date) observations[date] = price / (t.ratio || 1);
+            });
+        });
+
+    const quoted = {};
+    transactions.forEach(t => {
+        if (includeFills && t.etf === etf && t.price > 0 && !AMOUNT_ONLY_ACTIONS.includes(t.action)) {
+            quoted[t.date] = t.price;
+        }
+    });
+
+    Object.assign(quoted, priceHistory[etf] || {});
+
+    Object.entries(quoted).forEach(([date, price]) => {
+        observations[date] = price;
+    });
+
+    const hasSplits = transactions.some(t => t.etf === etf && (t.action === 'SPLIT' || t.action === 'REVERSE_SPLIT'));
+    if (hasSplits) {
+        Object.keys(observations).forEach(date => {
+            observations[date] /= getShareFactorAfter(etf, date);
+        });
+    }
+
+    if (includeLive && currentPrices[etf]) observations[getSessionDateKey()] = currentPrices[etf];
+
+    if (priceObservationCache && isTopLevel) priceObservationCache[cacheKey] = observations;
+    return observations;
+}
+
+// Observations built while `callback` runs are kept until it returns. The
+// ledger and price history can't change during a synchronous render, and the
+// return calculations look the same symbols up once per trade date.
+function withPriceObservationCache(callback) {
+    if (priceObservationCache) return callback();
+
+    priceObservationCache = {};
+    try {
+        return callback();
+    } finally {
+        priceObservationCache = null;
+    }
+}
+
+// Latest known price on or before `date`, or null when the newest
+// observation is older than `maxAgeDays`.
+function getHistoricalPrice(etf, date, maxAgeDays = CONFIG.RETURNS.maxPriceAgeDays) {
+    const dateKey = toDateKey(date);
+    const observations = getPriceObservations(etf);
+    const candidates = Object.keys(observations).filter(d => d <= dateKey).sort();
+
+    if (candidates.length === 0) return null;
+
+    const latest = candidates[candidates.length - 1];
+    if (daysBetween(latest, dateKey) > maxAgeDays) return null;
+
+    return observations[latest];
+}
+
+// Annualized internal rate of return for dated cash flows
+// (negative = money in, positive = money out). Returns null when the flows
+// do not have a solution.
+function calculateXIRR(cashFlows) {
+    const flows = cashFlows
+        .filter(f => f.amount !== 0)
+        .map(f => ({ amount: f.amount, years: 0, date: new Date(f.date) }))
+        .sort((a, b) => a.date - b.date);
+
+    if (flows.length < 2) return null;
+    if (!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+
+    const start = flows[0].date;
+    flows.forEach(f => {
+        f.years = daysBetween(start, f.date) / 365;
+    });
+    if (flows[flows.length - 1].years <= 0) return null;
+
+    const npv = rate => flows.reduce((sum, f) => sum + f.amount / Math.pow(1 + rate, f.years), 0);
+    const derivative = rate => flows.reduce(
+        (sum, f) => sum - (f.years * f.amount) / Math.pow(1 + rate, f.years + 1), 0
+    );
+
+    // Newton-Raphson first, bisection if it fails to converge
+    let rate = 0.1;
+    for (let i = 0; i < 100; i++) {
+        const value = npv(rate);
+        const slope = derivative(rate);
+        if (!isFinite(value) || !isFinite(slope) || slope === 0) break;
+
+        const next = rate - value / slope;
+        if (next <= -1) break;
+        if (Math.abs(next - rate) < 1e-10) return next;
+        rate = next;
+    }
+
+    let low = -0.9999;
+    let high = 100;
+    if (npv(low) * npv(high) > 0) return null;
+
+    for (let i = 0; i < 200; i++) {
+        const mid = (low + high) / 2;
+        if (npv(low) * npv(mid) <= 0) {
+            high = mid;
+        } else {
+            low = mid;
+        }
+        if (high - low < 1e-10) break;
+    }
+
+    return (low + high) / 2;
+}
+
+// Investor cash flows for XIRR. Once cash is tracked the deposits and
+// withdrawals are the external flows; before that the trades themselves are.
+function getCashFlows(transactionList, positionList) {
+    const cash = calculateCashSummary(transactionList);
+    const flows = [];
+
+    transactionList.forEach(t => {
+        const amount = convertCurrency(t.total, getTransactionCurrency(t), t.date);
+
+        if (cash.tracked && t.date >= cash.since) {
+            if (t.action === 'DEPOSIT') flows.push({ date: t.date, amount: -amount });
+            if (t.action === 'WITHDRAWAL') flows.push({ date: t.date, amount });
+            return;
+        }
+
+        if (t.action === 'BUY' || t.action === 'FEE') {
+            flows.push({ date: t.date, amount: -amount });
+        } else if (['SELL', 'DIVIDEND', 'RETURN_OF_CAPITAL', 'INTEREST'].includes(t.action)) {
+            flows.push({ date: t.date, amount });
+        }
+    });
+
+    let terminalValue = positionList.reduce((sum, p) => sum + getPositionValue(p), 0);
+    if (cash.tracked) terminalValue += cash.balance;
+    flows.push({ date: toDateKey(new Date()), amount: terminalValue });
+
+    return flows;
+}
+
+function calculatePortfolioXIRR() {
+    return calculateXIRR(getCashFlows(transactions, portfolio));
+}
+
+// Purchases, sales and income under earlier symbols are part of the
+// position's history
+function calculatePositionXIRR(position) {
+    const lineage = getSymbolLineage(position.etf);
+    const etfTransactions = transactions.filter(t => lineage.includes(t.etf));
+    return calculateXIRR(getCashFlows(etfTransactions, [position]));
+}
+
+// Time-weighted return: the ledger is split at every trade date and the
+// sub-period returns are chained, so the size and timing of deposits does
+// not distort the result. Needs a price for every held ETF at every
+// boundary; returns null when history is too thin.
+function calculateTWR(transactionList = transactions) {
+    const tradeList = transactionList.filter(t => !CASH_ACTIONS.includes(t.action));
+    if (tradeList.length === 0) return null;
+
+    const today = toDateKey(new Date());
+    const dates = Array.from(new Set(tradeList.map(t => t.date)))
+        .filter(d => d <= today)
+        .sort();
+    if (dates[dates.length - 1] !== today) dates.push(today);
+    if (dates.length < 2) return null;
+
+    // Prices are split-adjusted to today's shares, so share counts as of
+    // `asOf` are scaled by the splits that came after it
+    const valueHoldings = (holdings, date, asOf) => {
+        let value = 0;
+        for (const position of holdings) {
+            if (position.shares <= 0) continue;
+            const price = getHistoricalPrice(position.etf, date);
+            if (price === null) return null;
+            const shares = position.shares * getShareFactorAfter(position.etf, asOf, transactionList);
+            value += convertCurrency(shares * price, position.currency, date);
+        }
+        return value;
+    };
+
+    // One replay of the ledger, keeping each position's shares at the end of
+    // every trade date
+    const changesByDate = {};
+    buildPortfolio(tradeList, {}, (t, position) => {
+        if (!changesByDate[t.date]) changesByDate[t.date] = {};
+        changesByDate[t.date][position.etf] = { etf: position.etf, currency: position.currency, shares: position.shares };
+    });
+
+    const heldPositions = {};
+    let growth = 1;
+    for (let i = 0; i < dates.length - 1; i++) {
+        const start = dates[i];
+        const end = dates[i + 1];
+        Object.assign(heldPositions, changesByDate[start]);
+        const holdings = Object.values(heldPositions);
+
+        const startValue = valueHoldings(holdings, start, start);
+        const endValue = valueHoldings(holdings, end, start);
+        if (startValue === null || endValue === null) return null;
+        if (startValue <= 0) continue;
+
+        // Distributions paid at the end of the period belong to its return
+        const income = tradeList
+            .filter(t => t.date === end && ['DIVIDEND', 'DRIP', 'RETURN_OF_CAPITAL'].includes(t.action))
+            .reduce((sum, t) => sum + convertCurrency(t.total, getTransactionCurrency(t), t.date), 0);
+
+        growth *= (endValue + income) / startValue;
+    }
+
+    const totalReturn = growth - 1;
+    const days = daysBetween(dates[0], today);
+
+    // Periods shorter than a year are reported as-is rather than annualized
+    return {
+        value: days >= 365 ? Math.pow(growth, 365 / days) - 1 : totalReturn,
+        annualized: days >= 365
+    };
+}
+
+function formatRate(rate) {
+    return rate === null || !isFinite(rate) ? 'n/a' : `${(rate * 100).toFixed(2)}%`;
+}
+
+// ============================================================================
+// CURRENCIES & FX
+// ============================================================================
+
+// Currencies ETFs and cash can be held in. FX rates are stored like prices,
+// under Yahoo-style symbols quoting US dollars per unit (EURUSD=X), so they
+// share the price providers, the daily close history and manual entry.
+const CURRENCIES = {
+    USD: 'US Dollar',
+    EUR: 'Euro',
+    GBP: 'British Pound',
+    CHF: 'Swiss Franc',
+    CAD: 'Canadian Dollar',
+    JPY: 'Japanese Yen'
+};
+
+const missingFxRates = new Set();   // Currencies a conversion found no rate for
+
+function getFxSymbol(currency) {
+    return currency === 'USD' ? null : `${currency}USD=X`;
+}
+
+function isFxSymbol(symbol) {
+    return /^[A-Z]{3}USD=X$/.test(symbol);
+}
+
+// Currency of a transaction's amounts. Entries from before multi-currency
+// support are in their ETF's currency, which defaults to US dollars.
+function getTransactionCurrency(transaction) {
+    return transaction.currency || currencySettings.etfCurrencies[transaction.etf] || 'USD';
+}
+
+function getEtfCurrency(etf) {
+    const position = portfolio.find(p => p.etf === etf);
+    return position ? position.currency : currencySettings.etfCurrencies[etf] || 'USD';
+}
+
+// Currencies needed to value the active portfolio in the base currency
+function getCurrenciesInUse() {
+    return [...new Set([
+        currencySettings.baseCurrency,
+        ...portfolio.filter(p => p.shares > 0 || p.reserved > 0).map(p => p.currency),
+        ...transactions.filter(t => CASH_ACTIONS.includes(t.action)).map(getTransactionCurrency)
+    ])];
+}
+
+function getFxSymbolsInUse() {
+    return getCurrenciesInUse().map(getFxSymbol).filter(Boolean);
+}
+
+// Currencies whose amounts are being shown unconverted for lack of any rate
+function getMissingFxCurrencies() {
+    return [...new Set([...getCurrenciesInUse(), ...missingFxRates])]
+        .filter(currency => getUsdRate(currency) === null);
+}
+
+// Known US dollar rates for a currency as { 'YYYY-MM-DD': rate }
+function getFxObservations(currency) {
+    return currency === 'USD' ? {} : getPriceObservations(getFxSymbol(currency));
+}
+
+// US dollars per unit of `currency` on `date`, or today's when no date is
+// given. Uses the latest rate on or before the date, the earliest known
+// rate for dates before the history starts, and null when there is none.
+function getUsdRate(currency, date = null) {
+    if (currency === 'USD') return 1;
+    if (!date && currentPrices[getFxSymbol(currency)]) return currentPrices[getFxSymbol(currency)];
+
+    const observations = getFxObservations(currency);
+    const keys = Object.keys(observations).sort();
+    if (keys.length === 0) return null;
+
+    const dateKey = date ? toDateKey(date) : keys[keys.length - 1];
+    let rate = observations[keys[0]];
+    for (const key of keys) {
+        if (key > dateKey) break;
+        rate = observations[key];
+    }
+    return rate;
+}
+
+// Converts an amount between currencies at the rate of `date` (today's by
+// default). Without a known rate the amount is passed through unchanged;
+// the currency is logged once and flagged next to the base currency.
+function convertCurrency(amount, from, date = null, to = currencySettings.baseCurrency) {
+    if (from === to || !amount) return amount;
+
+    const fromRate = getUsdRate(from, date);
+    const toRate = getUsdRate(to, date);
+    if (fromRate === null || toRate === null) {
+        const missing = fromRate === null ? from : to;
+        if (!missingFxRates.has(missing)) {
+            missingFxRates.add(missing);
+            renderFxWarning();
+            console.warn(`⚠️ No ${getFxSymbol(missing)} rate known; ${missing} amounts are shown unconverted`);
+        }
+        return amount;
+    }
+
+    return amount * fromRate / toRate;
+}
+
+// A sale in the base currency: proceeds at the sale date's rate, cost at
+// each lot's purchase date. fxGain is the part of the gain that comes from
+// the currency moving between purchase and sale.
+function getSaleInBase(sale, currency) {
+    const proceeds = convertCurrency(sale.proceeds, currency, sale.date);
+    if (sale.lots.length === 0) {
+        return { proceeds, costBasis: 0, gain: proceeds, fxGain: 0 };
+    }
+
+    let costBasis = 0;
+    let priceGain = 0;
+    sale.lots.forEach(slice => {
+        const rate = convertCurrency(1, currency, slice.acquired);
+        costBasis += slice.cost * rate;
+        priceGain += (sale.proceeds * (slice.shares / sale.shares) - slice.cost) * rate;
+    });
+
+    const gain = proceeds - costBasis;
+    return { proceeds, costBasis, gain, fxGain: gain - priceGain };
+}
+
+// A position's figures in the base currency. Cost is converted at each open
+// lot's purchase date and value at today's rate. The unrealized gain splits
+// into the price move, valued at the purchase rates, and the currency move.
+function getPositionInBase(position) {
+    const currency = position.currency;
+    const price = currentPrices[position.etf] || position.avgEntry || 0;
+
+    let invested = 0;
+    let priceGain = 0;
+    position.lots
+        .filter(lot => lot.remaining > SHARE_EPSILON)
+        .forEach(lot => {
+            const rate = convertCurrency(1, currency, lot.date);
+            const cost = lot.remaining * lot.costPerShare;
+            invested += cost * rate;
+            priceGain += (lot.remaining * price - cost) * rate;
+        });
+
+    const value = convertCurrency(position.shares * price, currency);
+    const unrealized = value - invested;
+
+    let realized = 0;
+    let realizedFx = 0;
+    position.sales.forEach(sale => {
+        const converted = getSaleInBase(sale, currency);
+        realized += converted.gain;
+        realizedFx += converted.fxGain;
+    });
+
+    return {
+        currency,
+        value,
+        invested,
+        unrealized,
+        priceGain,
+        fxGain: unrealized - priceGain,
+        realized,
+        realizedFx,
+        dividends: position.income.reduce((sum, entry) => sum + convertCurrency(entry.amount, currency, entry.date), 0),
+        reserved: convertCurrency(position.reserved, currency)
+    };
+}
+
+// " (price X, currency Y)" for tooltips, or nothing when FX played no part
+function describeFxSplit(total, fxPart) {
+    if (Math.abs(fxPart) < 0.005) return '';
+    return ` (price ${formatCurrency(total - fxPart)}, currency ${formatCurrency(fxPart)})`;
+}
+
+function renderBaseCurrencySelect() {
+    const select = document.getElementById('baseCurrencySelect');
+    if (!select) return;
+
+    select.innerHTML = Object.keys(CURRENCIES)
+        .map(code => `<option value="${code}" title="${CURRENCIES[code]}">${code}</option>`)
+        .join('');
+    select.value = currencySettings.baseCurrency;
+}
+
+function renderFxWarning() {
+    const badge = document.getElementById('fxWarning');
+    if (!badge) return;
+
+    const missing = getMissingFxCurrencies();
+    badge.style.display = missing.length > 0 ? 'inline-block' : 'none';
+    badge.textContent = `No rate: ${missing.join(', ')}`;
+    badge.title = missing
+        .map(currency => `${currency} amounts are shown unconverted until a ${getFxSymbol(currency)} rate is fetched or entered`)
+        .join('\n');
+}
+
+async function setBaseCurrency(currency) {
+    if (!CURRENCIES[currency] || currency === currencySettings.baseCurrency) return;
+
+    currencySettings.baseCurrency = currency;
+    await saveDataToCloud(CONFIG.CLOUD_CURRENCY_SETTINGS_KEY, currencySettings);
+
+    renderDashboard();
+    renderStrategy();
+    if (document.getElementById('performance').classList.contains('active')) renderPerformance();
+    if (document.getElementById('risk').classList.contains('active')) renderRisk();
+    if (document.getElementById('scenarios').classList.contains('active')) renderScenarios();
+    if (document.getElementById('taxes').classList.contains('active')) renderTaxReport();
+
+    // Fetch any rate the new base currency needs
+    await fetchCurrentPrices();
+}
+
+// ============================================================================
+// DASHBOARD RENDERING (WITH ZERO-POSITION FILTERING)
+// ============================================================================
+
+// Summary figures for a set of positions and the ledger they came from
+// (the active portfolio by default), in the base currency
+function calculateMetrics(positionList = portfolio, transactionList = transactions) {
+    let totalInvested = 0;
+    let holdingsValue = 0;
+    let totalReserved = 0;
+    let totalRealized = 0;
+    let totalRealizedFx = 0;
+    let totalFxGain = 0;
+    let totalDividends = 0;
+
+    positionList.forEach(position => {
+        const figures = getPositionInBase(position);
+        totalInvested += figures.invested;
+        totalReserved += figures.reserved;
+        totalRealized += figures.realized;
+        totalRealizedFx += figures.realizedFx;
+        totalFxGain += figures.fxGain;
+        totalDividends += figures.dividends;
+        holdingsValue += figures.value;
+    });
+
+    const cash = calculateCashSummary(transactionList);
+    const cashBalance = cash.tracked ? cash.balance : 0;
+    const totalValue = holdingsValue + cashBalance;
+
+    const totalGainLoss = holdingsValue - totalInvested;
+    const gainLossPercent = totalInvested > 0 ? (totalGainLoss / totalInvested) * 100 : 0;
+
+    // Total return counts unrealized, realized, distribution income,
+    // interest and account fees
+    const totalReturn = totalGainLoss + totalRealized + totalDividends + cash.interest - cash.fees;
+    const totalReturnPercent = totalInvested > 0 ? (totalReturn / totalInvested) * 100 : 0;
+
+    return {
+        totalInvested,
+        holdingsValue,
+        cashTracked: cash.tracked,
+        cashBalance,
+        totalFees: cash.fees,
+        totalInterest: cash.interest,
+        totalValue,
+        totalReserved,
+        totalGainLoss,
+        gainLossPercent,
+        totalFxGain,                              // Part of the unrealized gain from currency moves
+        totalRealized,
+        totalRealizedFx,                          // Part of the realized gain from currency moves
+        totalDividends,
+        totalReturn,
+        totalReturnPercent
+    };
+}
+
+function renderDashboard() {
+    withPriceObservationCache(renderDashboardSections);
+}
+
+function renderDashboardSections() {
+    const metrics = calculateMetrics();
+    renderFxWarning();
+    
+    document.getElementById('totalValue').textContent = formatCurrency(metrics.totalValue);
+    document.getElementById('totalInvested').textContent = formatCurrency(metrics.totalInvested);
+    document.getElementById('reservedCapital').textContent = formatCurrency(metrics.totalReserved);
+    document.getElementById('totalGainLoss').textContent = formatCurrency(metrics.totalGainLoss);
+    
+    // Count only non-zero positions
+    const activePositions = portfolio.filter(p => p.shares > 0).length;
+    document.getElementById('numPositions').textContent = activePositions;
+    
+    const changeElement = document.getElementById('totalChange');
+    const changePercent = metrics.gainLossPercent.toFixed(2);
+    changeElement.textContent = `${formatCurrency(metrics.totalReturn)} (${metrics.totalReturnPercent.toFixed(2)}%) total return`;
+    changeElement.className = metrics.totalReturn >= 0 ? 'card-change positive' : 'card-change negative';
+    changeElement.title = [
+        `Unrealized: ${formatCurrency(metrics.totalGainLoss)}${describeFxSplit(metrics.totalGainLoss, metrics.totalFxGain)}`,
+        `Realized: ${formatCurrency(metrics.totalRealized)}${describeFxSplit(metrics.totalRealized, metrics.totalRealizedFx)}`,
+        `Dividends: ${formatCurrency(metrics.totalDividends)}`,
+        `Interest: ${formatCurrency(metrics.totalInterest)}`,
+        `Fees: -${formatCurrency(metrics.totalFees)}`
+    ].join('\n');
+
+    const cashElement = document.getElementById('cashBalance');
+    if (cashElement) {
+        cashElement.textContent = metrics.cashTracked ? formatCurrency(metrics.cashBalance) : 'Not tracked';
+        cashElement.className = metrics.cashBalance < 0 ? 'card-value negative' : 'card-value';
+    }
+
+    const gainPercentElement = document.getElementById('gainLossPercent');
+    gainPercentElement.textContent = `${changePercent}%`;
+    gainPercentElement.className = metrics.totalGainLoss >= 0 ? 'positive' : 'negative';
+    gainPercentElement.title = describeFxSplit(metrics.totalGainLoss, metrics.totalFxGain).trim();
+
+    const returnRatesElement = document.getElementById('returnRates');
+    if (returnRatesElement) {
+        const twr = calculateTWR();
+        returnRatesElement.textContent = `XIRR ${formatRate(calculatePortfolioXIRR())} · TWR ${twr ? formatRate(twr.value) : 'n/a'}${twr && twr.annualized ? ' ann.' : ''}`;
+        returnRatesElement.title = twr
+            ? 'XIRR: annualized money-weighted return. TWR: time-weighted return.'
+            : 'TWR needs a price for every holding on each trade date';
+    }
+
+    renderRealizedSummary(metrics.totalRealized);
+    renderDividendSummary(metrics.totalDividends);
+    renderPositions();
+    renderExposure();
+    if (detailETF) renderPositionDetail();
+    renderClosedPositions();
+    renderConsolidatedView();
+}
+
+function renderRealizedSummary(totalRealized) {
+    const realizedElement = document.getElementById('totalRealized');
+    if (!realizedElement) return;
+
+    realizedElement.textContent = formatCurrency(totalRealized);
+
+    const byYear = getRealizedGainsByYear();
+    const currentYear = String(new Date().getFullYear());
+    const yearElement = document.getElementById('realizedThisYear');
+    if (yearElement) {
+        const thisYear = byYear[currentYear] || 0;
+        yearElement.textContent = `${currentYear}: ${formatCurrency(thisYear)}`;
+        yearElement.className = thisYear >= 0 ? 'card-change positive' : 'card-change negative';
+        yearElement.title = Object.keys(byYear)
+            .sort()
+            .map(year => `${year}: ${formatCurrency(byYear[year])}`)
+            .join('\n') || 'No sales recorded';
+    }
+}
+
+function renderDividendSummary(totalDividends) {
+    const dividendElement = document.getElementById('totalDividends');
+    if (!dividendElement) return;
+
+    dividendElement.textContent = formatCurrency(totalDividends);
+
+    const cutoff = new Date();
+    cutoff.setFullYear(cutoff.getFullYear() - 1);
+    const trailing = portfolio.reduce((sum, position) => sum + position.income
+        .filter(entry => new Date(entry.date) > cutoff)
+        .reduce((s, entry) => s + convertCurrency(entry.amount, position.currency, entry.date), 0), 0);
+
+    const trailingElement = document.getElementById('dividendsTTM');
+    if (trailingElement) trailingElement.textContent = `Last 12 months: ${formatCurrency(trailing)}`;
+}
+
+function renderPositions() {
+    const tbody = document.getElementById('positionsBody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    // FILTER OUT ZERO POSITIONS - This is the key change!
+    const activePositions = portfolio.filter(p => p.shares > 0);
+    
+    activePositions.forEach((position) => {
+        // Prices stay in the ETF's own currency; amounts are in the base currency
+        const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
+        const figures = getPositionInBase(position);
+        const gainLoss = figures.unrealized;
+        const gainLossPercent = figures.invested > 0 ? (gainLoss / figures.invested) * 100 : 0;
+        const fxSplit = position.currency !== currencySettings.baseCurrency
+            ? `<br><small class="text-muted">Price ${formatCurrency(figures.priceGain)} · FX ${formatCurrency(figures.fxGain)}</small>`
+            : '';
+        
+        const row = document.createElement('tr');
+        row.className = 'clickable-row';
+        row.title = `Show ${position.etf} details`;
+        row.addEventListener('click', () => openPositionDetail(position.etf));
+        row.innerHTML = `
+            <td class="etf-symbol">${position.etf}${position.currency !== 'USD' ? ` <small class="text-muted">${position.currency}</small>` : ''}</td>
+            <td>${position.shares.toFixed(2)}</td>
+            <td>${formatCurrency(position.avgEntry, position.currency)}</td>
+            ${renderPriceCell(position.etf, currentPrice, position.currency)}
+            <td>${formatCurrency(figures.invested)}</td>
+            <td>${formatCurrency(figures.value)}</td>
+            <td class="${gainLoss >= 0 ? 'positive' : 'negative'}">
+                ${formatCurrency(gainLoss)}<br>
+                <small>(${gainLossPercent.toFixed(2)}%)</small>${fxSplit}<br>
+                <small class="text-muted">XIRR ${formatRate(calculatePositionXIRR(position))}</small>
+            </td>
+            <td class="${figures.realized >= 0 ? 'positive' : 'negative'}" title="${describeFxSplit(figures.realized, figures.realizedFx).trim()}">${formatCurrency(figures.realized)}</td>
+            <td title="Dividends received: ${formatCurrency(figures.dividends)}">${calculateYieldOnCost(position).toFixed(2)}%</td>
+            <td>${formatCurrency(figures.reserved)}</td>
+            <td class="actions">
+                <button class="btn-small btn-primary" onclick="event.stopPropagation(); openTransactionModal('${position.etf}', 'BUY')">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="12" y1="5" x2="12" y2="19"></line>
+                        <line x1="5" y1="12" x2="19" y2="12"></line>
+                    </svg>
+                    Buy
+                </button>
+                <button class="btn-small btn-danger" onclick="event.stopPropagation(); openTransactionModal('${position.etf}', 'SELL')">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="5" y1="12" x2="19" y2="12"></line>
+                    </svg>
+                    Sell
+                </button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+// ETFs that were bought and later sold down to zero shares, with the
+// totals of the whole holding
+// A position renamed or merged into another isn't closed: its history,
+// sales included, is reported under the symbol it ended up as
+function getClosedPositions(positionList = portfolio, transactionList = transactions) {
+    return positionList
+        .filter(p => p.shares <= SHARE_EPSILON && !getSymbolChangeOut(p, transactionList))
+        .map(position => {
+            const lineage = getSymbolLineage(position.etf, transactionList);
+            const lineagePositions = positionList.filter(p => lineage.includes(p.etf));
+            const sales = lineagePositions.flatMap(p => p.sales.map(sale => ({ sale, currency: p.currency })));
+            if (sales.length === 0) return null;
+
+            const purchases = transactionList.filter(t => lineage.includes(t.etf) && LOT_ACTIONS.includes(t.action));
+            const firstBuy = purchases.reduce((earliest, t) => (!earliest || t.date < earliest ? t.date : earliest), null);
+            const lastSale = sales.reduce((latest, { sale }) => (sale.date > latest ? sale.date : latest), sales[0].sale.date);
+            const figures = lineagePositions.map(getPositionInBase).reduce((sum, f) => ({
+                realized: sum.realized + f.realized,
+                dividends: sum.dividends + f.dividends
+            }), { realized: 0, dividends: 0 });
+            const totalBought = purchases.reduce((sum, t) => sum + convertCurrency(t.total, getTransactionCurrency(t), t.date), 0);
+            const totalSold = sales.reduce((sum, { sale, currency }) => sum + getSaleInBase(sale, currency).proceeds, 0);
+            const result = figures.realized + figures.dividends;
+
+            return {
+                etf: position.etf,
+                opened: firstBuy,
+                closed: lastSale,
+                holdingDays: firstBuy ? Math.round(daysBetween(firstBuy, lastSale)) : 0,
+                totalBought,
+                totalSold,
+                realized: figures.realized,
+                dividends: figures.dividends,
+                result,
+                resultPercent: totalBought > 0 ? (result / totalBought) * 100 : 0
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.closed.localeCompare(a.closed));
+}
+
+function formatHoldingPeriod(days) {
+    if (days < 60) return `${days} day${days === 1 ? '' : 's'}`;
+    if (days < 730) return `${Math.round(days / 30.44)} months`;
+    return `${(days / 365.25).toFixed(1)} years`;
+}
+
+function renderClosedPositions() {
+    const section = document.getElementById('closedPositionsSection');
+    const tbody = document.getElementById('closedPositionsBody');
+    if (!section || !tbody) return;
+
+    const closed = getClosedPositions();
+    section.style.display = closed.length > 0 ? 'block' : 'none';
+
+    tbody.innerHTML = closed.map(p => `
+        <tr>
+            <td class="etf-symbol">${p.etf}</td>
+            <td>${p.opened ? formatDate(p.opened) : '-'}</td>
+            <td>${formatDate(p.closed)}</td>
+            <td>${formatHoldingPeriod(p.holdingDays)}</td>
+            <td>${formatCurrency(p.totalBought)}</td>
+            <td>${formatCurrency(p.totalSold)}</td>
+            <td class="${p.realized >= 0 ? 'positive' : 'negative'}">${formatCurrency(p.realized)}</td>
+            <td>${formatCurrency(p.dividends)}</td>
+            <td class="${p.result >= 0 ? 'positive' : 'negative'}">
+                ${formatCurrency(p.result)}<br>
+                <small>(${p.resultPercent.toFixed(2)}%)</small>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderStrategy() {
+    const tbody = document.getElementById('strategyBody');
+    if (!tbody) return;
+
+    tbody.innerHTML = '';
+
+    // FILTER OUT ZERO POSITIONS HERE TOO (unless capital is still reserved for them)
+    const activePositions = portfolio.filter(p => p.shares > 0 || reserves[p.etf]);
+
+    activePositions.forEach(position => {
+        const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
+        const priceVsEntry = position.avgEntry > 0 
+            ? ((currentPrice - position.avgEntry) / position.avgEntry * 100).toFixed(2)
+            : 0;
+        const journal = getStrategyEntry(position.etf);
+        
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td class="etf-symbol">${position.etf}</td>
+            <td>
+                ${escapeHtml(position.strategy)}
+                <button class="btn-small" onclick="openJournalModal('${position.etf}')">Journal${journal.entries.length > 0 ? ` (${journal.entries.length})` : ''}</button>
+            </td>
+            <td>${renderStopAndReview(journal, currentPrice, position.currency)}</td>
+            <td>${formatCurrency(position.avgEntry, position.currency)}</td>
+            ${renderPriceCell(position.etf, currentPrice, position.currency)}
+            <td class="${parseFloat(priceVsEntry) >= 0 ? 'positive' : 'negative'}">
+                ${priceVsEntry}%
+            </td>
+            <td>
+                ${formatCurrency(position.reserved, position.currency)}
+                <button class="btn-small" onclick="openReserveModal('${position.etf}')">Plan</button>
+            </td>
+        `;
+        tbody.appendChild(row);
+
+        const tranches = getTrancheStatus(position.etf);
+        if (tranches.length > 0) {
+            const trancheRow = document.createElement('tr');
+            trancheRow.className = 'tranche-row';
+            trancheRow.innerHTML = `
+                <td></td>
+                <td colspan="6">
+                    <div class="tranche-list">
+                        ${tranches.map(tranche => renderTrancheChip(tranche, position.currency)).join('')}
+                    </div>
+                </td>
+            `;
+            tbody.appendChild(trancheRow);
+        }
+    });
+
+    renderRebalancing();
+}
+
+function renderStopAndReview(journal, currentPrice, currency) {
+    const parts = [];
+
+    if (journal.stopLevel) {
+        const breached = currentPrice > 0 && currentPrice <= journal.stopLevel;
+        parts.push(`<div class="${breached ? 'negative' : ''}" title="${breached ? 'Price is at or below the stop level' : ''}">Stop ${formatCurrency(journal.stopLevel, currency)}</div>`);
+    }
+    if (journal.reviewDate) {
+        const due = journal.reviewDate <= toDateKey(new Date());
+        parts.push(`<div class="${due ? 'review-due' : 'text-muted'}">Review ${formatDate(journal.reviewDate)}${due ? ' (due)' : ''}</div>`);
+    }
+
+    return parts.join('') || '<span class="text-muted">-</span>';
+}
+
+function renderTrancheChip(tranche, currency) {
+    let status;
+    if (tranche.filled) {
+        status = `Filled ${formatDate(tranche.fill.date)}`;
+    } else if (tranche.distance === null) {
+        status = 'No price';
+    } else {
+        status = `${tranche.distance >= 0 ? '+' : ''}${tranche.distance.toFixed(2)}% from current`;
+    }
+
+    return `
+        <div class="tranche ${tranche.filled ? 'filled' : ''}">
+            <span class="tranche-label">${escapeHtml(tranche.label || 'Tranche')}</span>
+            <span>${tranche.shares} @ ${formatCurrency(tranche.price, currency)}</span>
+            <span class="tranche-status">${status}</span>
+        </div>
+    `;
+}
+
+// ============================================================================
+// ETF METADATA & EXPOSURE
+// ============================================================================
+
+const METADATA_GROUPINGS = {
+    assetClass: 'Asset Class',
+    region: 'Region',
+    sector: 'Sector'
+};
+
+let editingMetadataETF = null;
+
+// The bundled file is optional: without it (e.g. opened from disk) the
+// registry starts with whatever was edited in the app
+async function loadEtfMetadata() {
+    try {
+        const response = await fetch(CONFIG.ETF_METADATA_URL);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        bundledMetadata = (await response.json()).etfs || {};
+        console.log(`📚 Loaded metadata for ${Object.keys(bundledMetadata).length} ETFs`);
+    } catch (error) {
+        console.warn('⚠️ Bundled ETF metadata not available:', error.message);
+        bundledMetadata = {};
+    }
+
+    metadataOverrides = await loadDataFromCloud(CONFIG.CLOUD_METADATA_KEY) || {};
+}
+
+function getEtfMetadata(etf) {
+    return metadataOverrides[etf] || bundledMetadata[etf] || null;
+}
+
+// Value of the open positions grouped by a metadata field, in the base
+// currency and largest first. ETFs without the field are 'Unclassified'.
+function getAllocationBreakdown(field, positionList = portfolio) {
+    const groups = {};
+    let total = 0;
+
+    positionList.filter(p => p.shares > 0).forEach(p => {
+        const meta = getEtfMetadata(p.etf);
+        const label = (meta && meta[field]) || 'Unclassified';
+        const value = getPositionInBase(p).value;
+        groups[label] = (groups[label] || 0) + value;
+        total += value;
+    });
+
+    return Object.entries(groups)
+        .map(([label, value]) => ({ label, value, weight: total > 0 ? value / total : 0 }))
+        .sort((a, b) => b.value - a.value);
+}
+
+// Value-weighted expense ratio (percent) of the ETFs whose ratio is known,
+// with the yearly cost it implies and the share of value it covers
+function calculateWeightedExpenseRatio(positionList = portfolio) {
+    let total = 0;
+    let covered = 0;
+    let annualCost = 0;
+
+    positionList.filter(p => p.shares > 0).forEach(p => {
+        const meta = getEtfMetadata(p.etf);
+        const value = getPositionInBase(p).value;
+        total += value;
+        if (meta && Number.isFinite(meta.expenseRatio)) {
+            covered += value;
+            annualCost += value * meta.expenseRatio / 100;
+        }
+    });
+
+    return {
+        ratio: covered > 0 ? (annualCost / covered) * 100 : null,
+        annualCost,
+        coverage: total > 0 ? covered / total : 0
+    };
+}
+
+// Pairs of open positions that hold the same things: the percentage of
+// each fund in common top holdings (sum of the smaller weights) and what
+// that is worth, plus the classification they share. Only top holdings are
+// listed, so the overlap is a lower bound.
+function getOverlapPairs(positionList = portfolio) {
+    const holdings = positionList.filter(p => p.shares > 0);
+    const pairs = [];
+
+    holdings.forEach((a, i) => {
+        holdings.slice(i + 1).forEach(b => {
+            const metaA = getEtfMetadata(a.etf) || {};
+            const metaB = getEtfMetadata(b.etf) || {};
+            const valueA = getPositionInBase(a).value;
+            const valueB = getPositionInBase(b).value;
+
+            const shared = Object.keys(METADATA_GROUPINGS)
+                .filter(field => metaA[field] && metaA[field] === metaB[field])
+                .map(field => metaA[field]);
+
+            let overlap = null;
+            let overlapValue = 0;
+            if (metaA.topHoldings && metaB.topHoldings) {
+                overlap = 0;
+                Object.entries(metaA.topHoldings).forEach(([symbol, weightA]) => {
+                    const weightB = metaB.topHoldings[symbol];
+                    if (!weightB) return;
+                    overlap += Math.min(weightA, weightB);
+                    overlapValue += Math.min(valueA * weightA, valueB * weightB) / 100;
+                });
+            }
+
+            // Sharing only an asset class or region is not worth listing
+            if (overlap > 0 || shared.length >= 2) {
+                pairs.push({ a: a.etf, b: b.etf, shared, overlap, overlapValue });
+            }
+        });
+    });
+
+    return pairs.sort((x, y) => y.overlapValue - x.overlapValue || y.shared.length - x.shared.length);
+}
+
+function renderExposure() {
+    const section = document.getElementById('exposureSection');
+    if (!section) return;
+
+    const hasPositions = portfolio.some(p => p.shares > 0);
+    section.style.display = hasPositions ? 'block' : 'none';
+    if (!hasPositions) return;
+
+    document.getElementById('allocationBreakdown').innerHTML = Object.entries(METADATA_GROUPINGS).map(([field, title]) => `
+        <div class="allocation-group">
+            <h3 class="modal-subtitle">${title}</h3>
+            ${getAllocationBreakdown(field).map(group => `
+                <div class="allocation-row ${group.label === 'Unclassified' ? 'text-muted' : ''}">
+                    <span class="allocation-label">${escapeHtml(group.label)}</span>
+                    <span class="allocation-bar"><span style="width: ${(group.weight * 100).toFixed(1)}%"></span></span>
+                    <span class="allocation-weight" title="${formatCurrency(group.value)}">${(group.weight * 100).toFixed(1)}%</span>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+
+    const expense = calculateWeightedExpenseRatio();
+    document.getElementById('expenseRatioSummary').innerHTML = expense.ratio === null
+        ? '<span class="text-muted">Weighted expense ratio: add expense ratios under ETF Info</span>'
+        : `<span class="text-muted">Weighted expense ratio</span> <strong>${expense.ratio.toFixed(2)}%</strong>
+           <span class="text-muted">(about ${formatCurrency(expense.annualCost)} a year${expense.coverage < 0.999 ? `, ${(expense.coverage * 100).toFixed(0)}% of value covered` : ''})</span>`;
+
+    const pairs = getOverlapPairs();
+    document.getElementById('overlapBody').innerHTML = pairs.map(pair => `
+        <tr>
+            <td class="etf-symbol">${pair.a} / ${pair.b}</td>
+            <td>${pair.shared.length > 0 ? escapeHtml(pair.shared.join(' · ')) : '-'}</td>
+            <td>${pair.overlap === null ? '<span class="text-muted" title="Needs top holdings for both ETFs">-</span>' : `${pair.overlap.toFixed(1)}%`}</td>
+            <td>${pair.overlap === null ? '-' : formatCurrency(pair.overlapValue)}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="4" class="text-muted">No overlapping ETFs found</td></tr>';
+}
+
+function openMetadataModal(etf = null) {
+    const symbols = [...new Set([
+        ...portfolio.filter(p => p.shares > 0).map(p => p.etf),
+        ...Object.keys(bundledMetadata),
+        ...Object.keys(metadataOverrides)
+    ])].sort();
+
+    const select = document.getElementById('metadataETF');
+    select.innerHTML = symbols.map(symbol => `<option value="${symbol}">${symbol}</option>`).join('');
+    if (etf && !symbols.includes(etf)) select.innerHTML += `<option value="${etf}">${etf}</option>`;
+
+    // Suggest the classifications already in use
+    Object.keys(METADATA_GROUPINGS).forEach(field => {
+        const values = new Set(Object.values({ ...bundledMetadata, ...metadataOverrides }).map(meta => meta[field]).filter(Boolean));
+        document.getElementById(`${field}Options`).innerHTML = [...values].sort()
+            .map(value => `<option value="${escapeHtml(value)}">`).join('');
+    });
+
+    fillMetadataForm(etf || symbols[0] || '');
+    document.getElementById('metadataModal').style.display = 'flex';
+}
+
+function closeMetadataModal() {
+    document.getElementById('metadataModal').style.display = 'none';
+    editingMetadataETF = null;
+}
+
+function fillMetadataForm(etf) {
+    editingMetadataETF = etf;
+    const meta = getEtfMetadata(etf) || {};
+
+    document.getElementById('metadataETF').value = etf;
+    document.getElementById('metadataName').value = meta.name || '';
+    document.getElementById('metadataAssetClass').value = meta.assetClass || '';
+    document.getElementById('metadataRegion').value = meta.region || '';
+    document.getElementById('metadataSector').value = meta.sector || '';
+    document.getElementById('metadataExpenseRatio').value = Number.isFinite(meta.expenseRatio) ? meta.expenseRatio : '';
+    document.getElementById('metadataHoldings').value = Object.entries(meta.topHoldings || {})
+        .map(([symbol, weight]) => `${symbol} ${weight}`)
+        .join('\n');
+    document.getElementById('metadataSource').textContent = metadataOverrides[etf]
+        ? 'Edited in the app'
+        : bundledMetadata[etf] ? `From ${CONFIG.ETF_METADATA_URL}` : 'Not classified yet';
+    document.getElementById('resetMetadataButton').disabled = !metadataOverrides[etf];
+}
+
+// Top holdings are entered one per line as "SYMBOL weight", e.g. "NVDA 8.9"
+function parseTopHoldings(text) {
+    const holdings = {};
+    const invalid = [];
+
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const match = line.match(/^([A-Za-z0-9.\-]+)[\s,;:]+([\d.]+)%?$/);
+        const weight = match ? parseFloat(match[2]) : NaN;
+        if (!match || !(weight > 0) || weight > 100) {
+            invalid.push(line);
+        } else {
+            holdings[match[1].toUpperCase()] = weight;
+        }
+    });
+
+    return { holdings, invalid };
+}
+
+async function saveMetadata(event) {
+    event.preventDefault();
+    const etf = editingMetadataETF;
+    if (!etf) return;
+
+    const expenseRatio = parseFloat(document.getElementById('metadataExpenseRatio').value);
+    const { holdings, invalid } = parseTopHoldings(document.getElementById('metadataHoldings').value);
+
+    if (document.getElementById('metadataExpenseRatio').value !== '' && !(expenseRatio >= 0 && expenseRatio < 10)) {
+        showNotification('Expense ratio must be a percentage between 0 and 10', 'error');
+        return;
+    }
+    if (invalid.length > 0) {
+        showNotification(`Couldn't read top holding "${invalid[0]}" - use "SYMBOL weight"`, 'error');
+        return;
+    }
+
+    const meta = {
+        name: document.getElementById('metadataName').value.trim(),
+        assetClass: document.getElementById('metadataAssetClass').value.trim(),
+        region: document.getElementById('metadataRegion').value.trim(),
+        sector: document.getElementById('metadataSector').value.trim()
+    };
+    if (Number.isFinite(expenseRatio)) meta.expenseRatio = expenseRatio;
+    if (Object.keys(holdings).length > 0) meta.topHoldings = holdings;
+
+    metadataOverrides[etf] = meta;
+    await saveDataToCloud(CONFIG.CLOUD_METADATA_KEY, metadataOverrides);
+
+    fillMetadataForm(etf);
+    renderDashboard();
+    showNotification(`Saved ETF info for ${etf}`, 'success');
+}
+
+async function resetMetadata() {
+    const etf = editingMetadataETF;
+    if (!etf || !metadataOverrides[etf]) return;
+    if (!confirm(`Discard your edits to ${etf} and go back to the bundled info?`)) return;
+
+    delete metadataOverrides[etf];
+    await saveDataToCloud(CONFIG.CLOUD_METADATA_KEY, metadataOverrides);
+
+    fillMetadataForm(etf);
+    renderDashboard();
+}
+
+// ============================================================================
+// STRATEGY JOURNAL
+// ============================================================================
+
+let journalETF = null;   // ETF whose journal is open in the modal
+
+// Journals saved before theses were editable were plain { ETF: note } maps
+function normalizeStrategyJournal(saved) {
+    const journal = {};
+    Object.entries(saved || {}).forEach(([etf, value]) => {
+        const entry = typeof value === 'string' ? { thesis: value } : value;
+        journal[etf] = {
+            thesis: entry.thesis || '',
+            stopLevel: entry.stopLevel || null,
+            reviewDate: entry.reviewDate || null,
+            entries: entry.entries || []
+        };
+    });
+    return journal;
+}
+
+function getStrategyEntry(etf) {
+    return strategyJournal[etf] || { thesis: '', stopLevel: null, reviewDate: null, entries: [] };
+}
+
+async function saveStrategyJournal() {
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_STRATEGIES_KEY), strategyJournal);
+}
+
+function openJournalModal(etf) {
+    journalETF = etf;
+    const journal = getStrategyEntry(etf);
+
+    document.getElementById('journalModalTitle').textContent = `Strategy Journal - ${etf}`;
+    document.getElementById('journalThesis').value = journal.thesis;
+    document.getElementById('journalStop').value = journal.stopLevel || '';
+    document.getElementById('journalReview').value = journal.reviewDate || '';
+    document.getElementById('journalEntryForm').reset();
+    document.getElementById('journalEntryDate').value = toDateKey(new Date());
+
+    renderJournalEntries();
+    document.getElementById('journalModal').style.display = 'flex';
+}
+
+function closeJournalModal() {
+    document.getElementById('journalModal').style.display = 'none';
+    journalETF = null;
+}
+
+function describeJournalTransaction(transaction) {
+    const currency = getTransactionCurrency(transaction);
+    let amount = AMOUNT_ONLY_ACTIONS.includes(transaction.action)
+        ? formatCurrency(transaction.total, currency)
+        : `${formatShares(transaction.shares)} @ ${formatCurrency(transaction.price, currency)}`;
+    if (CORPORATE_ACTIONS.includes(transaction.action)) amount = describeCorporateAction(transaction);
+    return `${formatDate(transaction.date)} ${formatAction(transaction.action)} ${amount}`;
+}
+
+function renderJournalEntries() {
+    const journal = getStrategyEntry(journalETF);
+    const entries = [...journal.entries].sort((a, b) => b.date.localeCompare(a.date));
+
+    document.getElementById('journalEntries').innerHTML = entries.map(entry => renderJournalEntry(entry, true)).join('') ||
+        '<div class="text-muted">No journal entries yet</div>';
+
+    const etfTransactions = sortTransactionsChronologically(transactions.filter(t => t.etf === journalETF)).reverse();
+    document.getElementById('journalTransactionOptions').innerHTML = etfTransactions.map(t => `
+        <label class="journal-transaction-option">
+            <input type="checkbox" value="${t.id}">
+            ${describeJournalTransaction(t)}
+        </label>
+    `).join('') || '<div class="text-muted">No transactions for this ETF</div>';
+}
+
+function renderJournalEntry(entry, deletable) {
+    const linked = (entry.transactionIds || []).map(findTransactionById).filter(Boolean);
+    return `
+        <div class="journal-entry">
+            <div class="journal-entry-header">
+                <span class="journal-entry-date">${formatDate(entry.date)}</span>
+                ${deletable ? `
+                    <button type="button" class="btn-icon" title="Delete entry" onclick="deleteJournalEntry('${entry.id}')">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"></line>
+                            <line x1="6" y1="6" x2="18" y2="18"></line>
+                        </svg>
+                    </button>
+                ` : ''}
+            </div>
+            <div class="journal-entry-text">${escapeHtml(entry.text)}</div>
+            ${linked.length > 0 ? `
+                <div class="journal-links">
+                    ${linked.map(t => `<span class="journal-link action-${t.action.toLowerCase()}">${describeJournalTransaction(t)}</span>`).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+async function saveThesis(event) {
+    event.preventDefault();
+    if (!journalETF) return;
+
+    const stopLevel = parseFloat(document.getElementById('journalStop').value);
+    strategyJournal[journalETF] = {
+        ...getStrategyEntry(journalETF),
+        thesis: document.getElementById('journalThesis').value.trim(),
+        stopLevel: stopLevel > 0 ? stopLevel : null,
+        reviewDate: document.getElementById('journalReview').value || null
+    };
+    await saveStrategyJournal();
+
+    recalculatePortfolioFromTransactions();
+    renderStrategy();
+    showNotification(`Thesis saved for ${journalETF}`, 'success');
+}
+
+async function addJournalEntry(event) {
+    event.preventDefault();
+    if (!journalETF) return;
+
+    const text = document.getElementById('journalEntryText').value.trim();
+    const date = document.getElementById('journalEntryDate').value;
+    if (!text || !date) {
+        showNotification('Journal entries need a date and some text', 'error');
+        return;
+    }
+
+    const transactionIds = Array.from(document.querySelectorAll('#journalTransactionOptions input:checked'))
+        .map(input => input.value);
+
+    const journal = getStrategyEntry(journalETF);
+    strategyJournal[journalETF] = {
+        ...journal,
+        entries: [...journal.entries, { id: generateId('journal'), date, text, transactionIds }]
+    };
+    await saveStrategyJournal();
+
+    document.getElementById('journalEntryForm').reset();
+    document.getElementById('journalEntryDate').value = toDateKey(new Date());
+    renderJournalEntries();
+    renderStrategy();
+}
+
+async function deleteJournalEntry(id) {
+    if (!journalETF || !confirm('Delete this journal entry?')) return;
+
+    const journal = getStrategyEntry(journalETF);
+    strategyJournal[journalETF] = { ...journal, entries: journal.entries.filter(entry => entry.id !== id) };
+    await saveStrategyJournal();
+
+    renderJournalEntries();
+    renderStrategy();
+}
+
+// Adds imported journals: missing ETFs are copied, existing ones gain the
+// entries they don't have and keep their own thesis unless it is empty.
+// Returns the number of ETFs that changed.
+function mergeStrategyJournal(imported) {
+    let changed = 0;
+
+    Object.entries(normalizeStrategyJournal(imported)).forEach(([etf, incoming]) => {
+        const existing = strategyJournal[etf];
+        if (!existing) {
+            strategyJournal[etf] = incoming;
+            changed++;
+            return;
+        }
+
+        const newEntries = incoming.entries.filter(entry => !existing.entries.some(e => e.id === entry.id));
+        const merged = {
+            thesis: existing.thesis || incoming.thesis,
+            stopLevel: existing.stopLevel || incoming.stopLevel,
+            reviewDate: existing.reviewDate || incoming.reviewDate,
+            entries: [...existing.entries, ...newEntries]
+        };
+        if (JSON.stringify(merged) !== JSON.stringify(existing)) {
+            strategyJournal[etf] = merged;
+            changed++;
+        }
+    });
+
+    return changed;
+}
+
+// ============================================================================
+// POSITION DETAIL
+// ============================================================================
+
+let detailETF = null;    // ETF whose detail panel is open
+
+function openPositionDetail(etf) {
+    detailETF = etf;
+    renderPositionDetail();
+    document.getElementById('positionDetailModal').style.display = 'flex';
+}
+
+function closePositionDetail() {
+    document.getElementById('positionDetailModal').style.display = 'none';
+    detailETF = null;
+}
+
+// The transaction form and the journal are modals of their own, so the
+// panel steps aside for them
+function tradeFromPositionDetail(action) {
+    const etf = detailETF;
+    closePositionDetail();
+    openTransactionModal(etf, action);
+}
+
+function editJournalFromPositionDetail() {
+    const etf = detailETF;
+    closePositionDetail();
+    openJournalModal(etf);
+}
+
+// The position after each of an ETF's transactions, oldest first. Cash
+// dividends are left out since they don't move shares or cost.
+function getPositionHistory(etf, transactionList = transactions) {
+    const history = [];
+
+    buildPortfolio(transactionList, reserves, (t, position) => {
+        if (position.etf !== etf || t.action === 'DIVIDEND') return;
+        history.push({
+            transaction: t,
+            shares: position.shares,
+            avgEntry: position.avgEntry,
+            invested: position.invested,
+            realized: position.realized
+        });
+    });
+
+    return history;
+}
+
+function renderPositionDetail() {
+    const position = portfolio.find(p => p.etf === detailETF);
+    if (!position) {
+        closePositionDetail();
+        return;
+    }
+
+    const currency = position.currency;
+    const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
+    const figures = getPositionInBase(position);
+    const totalValue = calculateMetrics().totalValue;
+    const weight = totalValue > 0 ? (figures.value / totalValue) * 100 : 0;
+    const today = toDateKey(new Date());
+    const heldSince = position.lots
+        .filter(lot => lot.remaining > SHARE_EPSILON)
+        .reduce((earliest, lot) => (!earliest || lot.date < earliest ? lot.date : earliest), null);
+    const history = getPositionHistory(position.etf);
+
+    document.getElementById('positionDetailTitle').textContent = `${position.etf} Position`;
+    document.getElementById('positionDetailSummary').innerHTML = `
+        <div><span class="text-muted">Shares</span> <strong>${formatShares(position.shares)}</strong></div>
+        <div><span class="text-muted">Average cost</span> <strong>${formatCurrency(position.avgEntry, currency)}</strong></div>
+        <div><span class="text-muted">Current price</span> <strong>${formatCurrency(currentPrice, currency)}</strong></div>
+        <div><span class="text-muted">Value</span> <strong>${formatCurrency(figures.value)}</strong> (${weight.toFixed(1)}% of total)</div>
+        <div><span class="text-muted">Unrealized</span> <strong class="${figures.unrealized >= 0 ? 'positive' : 'negative'}">${formatCurrency(figures.unrealized)}</strong></div>
+        <div><span class="text-muted">Held</span> <strong>${heldSince ? formatHoldingPeriod(Math.round(daysBetween(heldSince, today))) : '-'}</strong>${heldSince ? ` since ${formatDate(heldSince)}` : ''}</div>
+        ${renderMetadataSummary(position.etf)}
+    `;
+
+    // Lots are kept in today's shares, so earlier fills show split-adjusted
+    document.getElementById('positionDetailLots').innerHTML = [...position.lots]
+        .sort((a, b) => b.date.localeCompare(a.date))
+        .map(lot => {
+            const open = lot.remaining > SHARE_EPSILON;
+            const gain = lot.remaining * (currentPrice - lot.costPerShare);
+            return `
+                <tr class="${open ? '' : 'text-muted'}">
+                    <td>${formatDate(lot.date)}</td>
+                    <td>${formatShares(lot.shares)}</td>
+                    <td>${formatShares(lot.remaining)}</td>
+                    <td>${formatCurrency(lot.price, currency)}</td>
+                    <td>${formatCurrency(lot.costPerShare, currency)}</td>
+                    <td class="${gain >= 0 ? 'positive' : 'negative'}">${open ? formatCurrency(gain, currency) : '-'}</td>
+                    <td>${open ? formatHoldingPeriod(Math.round(daysBetween(lot.date, today))) : 'Sold'}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="7" class="text-muted">No lots</td></tr>';
+
+    document.getElementById('positionDetailHistory').innerHTML = [...history].reverse().map(step => `
+        <tr>
+            <td>${describeJournalTransaction(step.transaction)}</td>
+            <td>${formatShares(step.shares)}</td>
+            <td>${formatCurrency(step.avgEntry, currency)}</td>
+            <td>${formatCurrency(step.invested, currency)}</td>
+            <td class="${step.realized >= 0 ? 'positive' : 'negative'}">${formatCurrency(step.realized, currency)}</td>
+        </tr>
+    `).join('') || '<tr><td colspan="5" class="text-muted">No transactions</td></tr>';
+
+    renderPositionDetailChart(position, history, currentPrice);
+
+    const journal = getStrategyEntry(position.etf);
+    const entries = [...journal.entries].sort((a, b) => b.date.localeCompare(a.date));
+    document.getElementById('positionDetailJournal').innerHTML = `
+        <p>${escapeHtml(position.strategy)}</p>
+        ${renderStopAndReview(journal, currentPrice, currency)}
+        <div class="journal-entries">
+            ${entries.map(entry => renderJournalEntry(entry, false)).join('') || '<div class="text-muted">No journal entries yet</div>'}
+        </div>
+    `;
+}
+
+function renderMetadataSummary(etf) {
+    const meta = getEtfMetadata(etf);
+    if (!meta) return '';
+
+    const classification = Object.keys(METADATA_GROUPINGS).map(field => meta[field]).filter(Boolean).join(' · ');
+    return `
+        <div>
+            <span class="text-muted">${escapeHtml(meta.name || 'Classification')}</span>
+            <strong>${escapeHtml(classification || '-')}</strong>${Number.isFinite(meta.expenseRatio) ? `, ${meta.expenseRatio.toFixed(2)}% expense ratio` : ''}
+        </div>
+    `;
+}
+
+// Price, average cost and current price over the life of the position, with
+// every fill marked at its price. All figures are per today's share.
+function renderPositionDetailChart(position, history, currentPrice) {
+    const container = document.getElementById('positionDetailChart');
+    const etf = position.etf;
+
+    if (history.length === 0) {
+        container.innerHTML = '<div class="empty-state">No fills to plot</div>';
+        return;
+    }
+
+    const observations = getPriceObservations(etf);
+    const start = position.lots.reduce((earliest, lot) => (lot.date < earliest ? lot.date : earliest), history[0].transaction.date);
+    const dates = Array.from(new Set([
+        ...Object.keys(observations),
+        ...history.map(step => step.transaction.date),
+        ...position.lots.map(lot => lot.date),
+        toDateKey(new Date())
+    ])).filter(date => date >= start).sort();
+
+    const firstPrice = dates.map(date => observations[date]).find(price => price > 0) || currentPrice;
+    let lastPrice = firstPrice;
+    let step = -1;
+    const pricePoints = [];
+    const costPoints = [];
+
+    dates.forEach(date => {
+        if (observations[date] > 0) lastPrice = observations[date];
+        while (step + 1 < history.length && history[step + 1].transaction.date <= date) step++;
+        const current = history[Math.max(step, 0)];
+
+        pricePoints.push({ date, value: lastPrice });
+        costPoints.push({ date, value: current.avgEntry / getShareFactorAfter(etf, current.transaction.date) });
+    });
+
+    const markers = [
+        ...position.lots.map(lot => ({
+            date: lot.date,
+            value: lot.price,
+            type: 'buy',
+            label: `${formatDate(lot.date)} bought ${formatShares(lot.shares)} @ ${formatCurrency(lot.price, position.currency)}`
+        })),
+        ...position.sales.map(sale => {
+            const price = sale.transaction.price / getShareFactorAfter(etf, sale.date);
+            return {
+                date: sale.date,
+                value: price,
+                type: 'sell',
+                label: `${formatDate(sale.date)} sold ${formatShares(sale.shares)} @ ${formatCurrency(price, position.currency)}`
+            };
+        })
+    ];
+
+    renderLineChart(container, [
+        { name: 'Price', color: CHART_COLORS[0], points: pricePoints },
+        { name: 'Average cost', color: CHART_COLORS[3], points: costPoints },
+        { name: 'Current price', color: CHART_COLORS[1], dashed: true, width: 1, points: dates.map(date => ({ date, value: currentPrice })) }
+    ], markers, position.currency);
+}
+
+// ============================================================================
+// TRANSACTION MANAGEMENT
+// ============================================================================
+
+function renderTransactions() {
+    const tbody = document.getElementById('transactionsBody');
+    if (!tbody) return;
+    
+    tbody.innerHTML = '';
+    
+    const sortedTransactions = [...transactions].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    // Drop selections whose rows no longer exist (deleted, undone, synced away)
+    selectedTransactionIds = new Set(sortedTransactions.map(t => t.id).filter(id => selectedTransactionIds.has(id)));
+    const selectAll = document.getElementById('selectAllTransactions');
+    if (selectAll) {
+        selectAll.checked = sortedTransactions.length > 0 && selectedTransactionIds.size === sortedTransactions.length;
+    }
+    updateBulkDeleteButton();
+    
+    // Symbols, notes and IDs can come from imported files: the IDs are
+    // written as JSON string literals so quotes in them can't end the handler
+    sortedTransactions.forEach(transaction => {
+        const isAmountOnly = AMOUNT_ONLY_ACTIONS.includes(transaction.action);
+        const isCorporateAction = CORPORATE_ACTIONS.includes(transaction.action);
+        const currency = getTransactionCurrency(transaction);
+        const sale = transaction.action === 'SELL' ? findSaleForTransaction(transaction) : null;
+        const saleGain = sale
+            ? `<br><small class="${sale.gain >= 0 ? 'positive' : 'negative'}" title="${COST_BASIS_METHODS[sale.method] || sale.method}">Realized ${formatCurrency(sale.gain, currency)}</small>`
+            : '';
+
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="checkbox" onchange="toggleTransactionSelection(${escapeHtml(JSON.stringify(transaction.id))}, this.checked)" ${selectedTransactionIds.has(transaction.id) ? 'checked' : ''}></td>
+            <td>${formatDate(transaction.date)}</td>
+            <td class="etf-symbol">${escapeHtml(transaction.etf)}</td>
+            <td class="action ${transaction.action.toLowerCase()}">${formatAction(transaction.action)}</td>
+            <td>${isCorporateAction ? describeCorporateAction(transaction) : isAmountOnly ? '-' : transaction.shares.toFixed(2)}</td>
+            <td>${isAmountOnly || isCorporateAction ? '-' : formatCurrency(transaction.price, currency)}</td>
+            <td>${isCorporateAction ? '-' : formatCurrency(transaction.total, currency)}${saleGain}</td>
+            <td>${transaction.notes ? escapeHtml(transaction.notes) : '-'}</td>
+            <td class="actions">
+                <button class="btn-icon btn-edit" onclick="editTransaction(${escapeHtml(JSON.stringify(transaction.id))})" title="Edit">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"></path>
+                    </svg>
+                </button>
+                <button class="btn-icon" onclick="deleteTransaction(${escapeHtml(JSON.stringify(transaction.id))})" title="Delete">
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="3 6 5 6 21 6"></polyline>
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                    </svg>
+                </button>
+            </td>
+        `;
+        tbody.appendChild(row);
+    });
+}
+
+// ============================================================================
+// TRANSACTION IDS & LEDGER HISTORY
+// ============================================================================
+
+// Gives every transaction a stable ID and rewrites specific-lot selections
+// that still point at the old date#ordinal lot IDs. Returns true if anything
+// changed.
+function migrateTransactionIds(transactionList) {
+    if (transactionList.every(t => t.id)) return false;
+
+    const lotIdMap = {};
+    const lotCounts = {};
+    sortTransactionsChronologically(transactionList).forEach(t => {
+        if (!LOT_ACTIONS.includes(t.action)) return;
+        lotCounts[t.etf] = (lotCounts[t.etf] || 0) + 1;
+        const legacyId = `${t.date}#${lotCounts[t.etf]}`;
+
+        if (!t.id) t.id = generateId('tx');
+        lotIdMap[`${t.etf}|${legacyId}`] = t.id;
+    });
+
+    transactionList.forEach(t => {
+        if (!t.id) t.id = generateId('tx');
+
+        (t.lotSelections || []).forEach(selection => {
+            const mapped = lotIdMap[`${t.etf}|${selection.lot}`];
+            if (mapped) selection.lot = mapped;
+        });
+    });
+
+    return true;
+}
+
+function findTransactionById(id) {
+    return transactions.find(t => t.id === id) || null;
+}
+
+function cloneTransactions(transactionList) {
+    return JSON.parse(JSON.stringify(transactionList));
+}
+
+// Every change to the ledger goes through here so it can be undone
+async function commitLedgerChange(label, nextTransactions) {
+    ledgerHistory.undo.push({ label, timestamp: Date.now(), transactions: cloneTransactions(transactions) });
+    if (ledgerHistory.undo.length > CONFIG.UNDO_LIMIT) ledgerHistory.undo.shift();
+    ledgerHistory.redo = [];
+
+    await applyLedger(nextTransactions);
+}
+
+async function applyLedger(nextTransactions) {
+    transactions = nextTransactions;
+    await saveTransactionsToCloud();
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_HISTORY_KEY), ledgerHistory);
+
+    recalculatePortfolioFromTransactions();
+
+    renderDashboard();
+    renderTransactions();
+    renderStrategy();
+    updateUndoButtons();
+}
+
+async function undoLedgerChange() {
+    const entry = ledgerHistory.undo.pop();
+    if (!entry) return;
+
+    ledgerHistory.redo.push({ label: entry.label, timestamp: Date.now(), transactions: cloneTransactions(transactions) });
+    await applyLedger(entry.transactions);
+    showNotification(`Undid: ${entry.label}`, 'info');
+}
+
+async function redoLedgerChange() {
+    const entry = ledgerHistory.redo.pop();
+    if (!entry) return;
+
+    ledgerHistory.undo.push({ label: entry.label, timestamp: Date.now(), transactions: cloneTransactions(transactions) });
+    await applyLedger(entry.transactions);
+    showNotification(`Redid: ${entry.label}`, 'info');
+}
+
+async function clearLedgerHistory() {
+    ledgerHistory = { undo: [], redo: [] };
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_HISTORY_KEY), ledgerHistory);
+    updateUndoButtons();
+}
+
+function updateUndoButtons() {
+    const undoButton = document.getElementById('undoButton');
+    const redoButton = document.getElementById('redoButton');
+    if (!undoButton || !redoButton) return;
+
+    const lastUndo = ledgerHistory.undo[ledgerHistory.undo.length - 1];
+    const lastRedo = ledgerHistory.redo[ledgerHistory.redo.length - 1];
+
+    undoButton.disabled = !lastUndo;
+    undoButton.title = lastUndo ? `Undo: ${lastUndo.label}` : 'Nothing to undo';
+    redoButton.disabled = !lastRedo;
+    redoButton.title = lastRedo ? `Redo: ${lastRedo.label}` : 'Nothing to redo';
+}
+
+// ============================================================================
+// TRANSACTION VALIDATION
+// ============================================================================
+
+const TRANSACTION_ACTIONS = ['BUY', 'SELL', 'DIVIDEND', 'DRIP', 'RETURN_OF_CAPITAL', ...CASH_ACTIONS, ...CORPORATE_ACTIONS];
+
+// Form input behind each validated field, for inline errors
+const VALIDATION_FIELD_INPUTS = {
+    etf: 'transactionETF',
+    ratio: 'transactionRatio',
+    newSymbol: 'transactionNewSymbol',
+    currency: 'transactionCurrency',
+    action: 'transactionAction',
+    shares: 'transactionShares',
+    price: 'transactionPrice',
+    amount: 'transactionAmount',
+    commission: 'transactionCommission',
+    lots: 'transactionLotMethod',
+    date: 'transactionDate'
+};
+
+// Checks a transaction against the ledger it is being added to (or, when
+// its ID is already in `ledger`, the entry it replaces). Errors block
+// saving; warnings need the user's confirmation. Each issue is
+// { field, message }.
+function validateTransaction(transaction, ledger = transactions) {
+    const others = ledger.filter(t => !transaction.id || t.id !== transaction.id);
+    const errors = [];
+    const warnings = [];
+    const error = (field, message) => errors.push({ field, message });
+    const { action, etf, date, shares, price, total } = transaction;
+
+    if (!TRANSACTION_ACTIONS.includes(action)) {
+        error('action', `Unknown action "${action}"`);
+        return { errors, warnings };
+    }
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date))) {
+        error('date', 'Enter a valid date');
+    } else if (date > toDateKey(Date.now() + MS_PER_DAY)) {
+        // One day of slack so "today" in time zones ahead of UTC is accepted
+        error('date', 'Date cannot be in the future');
+    }
+
+    if (!CASH_ACTIONS.includes(action) && !/^[A-Z0-9.\-]{1,10}$/.test(etf || '')) {
+        error('etf', 'Enter a valid ticker symbol');
+    }
+
+    // Lots are costed in the ETF's currency, so an ETF can only trade in one
+    const currency = getTransactionCurrency(transaction);
+    if (!CURRENCIES[currency]) {
+        error('currency', `Unsupported currency "${currency}"`);
+    } else if (!CASH_ACTIONS.includes(action)) {
+        const existing = others.find(t => t.etf === etf && getTransactionCurrency(t) !== currency);
+        if (existing) error('currency', `${etf} is recorded in ${getTransactionCurrency(existing)}`);
+    }
+
+    if (AMOUNT_ONLY_ACTIONS.includes(action)) {
+        if (!Number.isFinite(total) || total <= 0) error('amount', 'Amount must be greater than zero');
+    } else if (CORPORATE_ACTIONS.includes(action)) {
+        const { ratio, newSymbol } = transaction;
+        if (action === 'SYMBOL_CHANGE') {
+            if (!Number.isFinite(ratio) || ratio <= 0) error('ratio', 'Ratio must be greater than zero');
+            if (!/^[A-Z0-9.\-]{1,10}$/.test(newSymbol || '')) {
+                error('newSymbol', 'Enter a valid ticker symbol');
+            } else if (newSymbol === etf) {
+                error('newSymbol', 'The new symbol must differ from the old one');
+            }
+        } else if (!Number.isFinite(ratio) || ratio <= 1) {
+            error('ratio', 'Ratio must be greater than 1');
+        }
+    } else {
+        if (!Number.isFinite(shares) || shares <= 0) error('shares', 'Shares must be greater than zero');
+        if (!Number.isFinite(price) || price <= 0) error('price', 'Price must be greater than zero');
+
+        const commission = transaction.commission || 0;
+        if (!Number.isFinite(commission) || commission < 0) {
+            error('commission', 'Commission cannot be negative');
+        } else if (action === 'SELL' && Number.isFinite(total) && total < 0) {
+            error('commission', 'Commission exceeds the sale proceeds');
+        }
+    }
+
+    if (errors.length > 0) return { errors, warnings };
+
+    const candidate = [...others, transaction];
+
+    // Replaying the ledger catches both oversized SELLs and edits that pull
+    // shares out from under a later sale
+    const alreadyShort = findOversoldSales(ledger).map(o => o.transaction);
+    findOversoldSales(candidate)
+        .filter(oversold => !alreadyShort.includes(oversold.transaction))
+        .forEach(({ transaction: sale, held }) => {
+            error('shares', sale === transaction
+                ? `Only ${formatShares(held)} shares of ${etf} are held on ${formatDate(date)}`
+                : `This would leave the ${formatDate(sale.date)} sale of ${formatShares(sale.shares)} ${sale.etf} short (${formatShares(held)} held)`);
+        });
+
+    if (action === 'SELL' && transaction.lotMethod === 'SPECIFIC') {
+        const selected = (transaction.lotSelections || []).reduce((sum, s) => sum + s.shares, 0);
+        if (Math.abs(selected - shares) > SHARE_EPSILON) {
+            error('lots', `Selected lots total ${formatShares(selected)} shares, but the sale is for ${formatShares(shares)}`);
+        }
+
+        const position = buildPortfolio(others.filter(t => t.date <= date)).find(p => p.etf === etf);
+        const openLots = position ? position.lots : [];
+        (transaction.lotSelections || []).forEach(selection => {
+            const lot = openLots.find(l => l.id === selection.lot);
+            if (!lot || selection.shares - lot.remaining > SHARE_EPSILON) {
+                error('lots', `A selected lot does not have ${formatShares(selection.shares)} shares open on ${formatDate(date)}`);
+            }
+        });
+    }
+
+    if (errors.length > 0) return { errors, warnings };
+
+    if ((action === 'DIVIDEND' || action === 'RETURN_OF_CAPITAL' || CORPORATE_ACTIONS.includes(action)) &&
+        getSharesHeld(others, etf, date) <= SHARE_EPSILON) {
+        warnings.push({ field: 'etf', message: `No ${etf} shares are held on ${formatDate(date)}` });
+    }
+
+    if (action === 'BUY') {
+        // Cash available on the BUY's date, not today's balance
+        const cash = calculateCashSummary(others, date);
+        const available = cash.byCurrency[currency] || 0;
+        if (cash.tracked && total > available + 0.005) {
+            warnings.push({
+                field: 'amount',
+                message: `This BUY costs ${formatCurrency(total, currency)} but only ${formatCurrency(available, currency)} cash is available`
+            });
+        }
+    }
+
+    if (others.some(t => t.action === action && isSameTransaction(t, transaction))) {
+        warnings.push({ field: 'date', message: 'An identical transaction is already recorded' });
+    }
+
+    return { errors, warnings };
+}
+
+// SELLs that exceed the shares held when the ledger is replayed in date
+// order. A short sale is left out of the running count so one bad row
+// doesn't flag every sale after it.
+function findOversoldSales(transactionList) {
+    const held = {};
+    const oversold = [];
+
+    sortTransactionsChronologically(transactionList).forEach(t => {
+        if (t.action === 'SELL') {
+            const available = held[t.etf] || 0;
+            if (t.shares > available + SHARE_EPSILON) {
+                oversold.push({ transaction: t, held: available });
+            } else {
+                held[t.etf] = available - t.shares;
+            }
+        } else {
+            applyShareChange(held, t);
+        }
+    });
+
+    return oversold;
+}
+
+// Updates running share counts ({ ETF: shares }) for one transaction
+function applyShareChange(held, t) {
+    if (LOT_ACTIONS.includes(t.action)) {
+        held[t.etf] = (held[t.etf] || 0) + t.shares;
+    } else if (t.action === 'SELL') {
+        held[t.etf] = (held[t.etf] || 0) - t.shares;
+    } else if (t.action === 'SPLIT' || t.action === 'REVERSE_SPLIT') {
+        held[t.etf] = (held[t.etf] || 0) * getSplitFactor(t);
+    } else if (t.action === 'SYMBOL_CHANGE') {
+        held[t.newSymbol] = (held[t.newSymbol] || 0) + (held[t.etf] || 0) * (t.ratio || 1);
+        held[t.etf] = 0;
+    }
+}
+
+// Shares of an ETF held at the end of `date`
+function getSharesHeld(transactionList, etf, date) {
+    const held = {};
+    sortTransactionsChronologically(transactionList.filter(t => t.date <= date))
+        .forEach(t => applyShareChange(held, t));
+    return held[etf] || 0;
+}
+
+// Validates rows about to be merged into the ledger in date order, so each
+// row is checked against the ledger plus the valid rows dated before it,
+// whatever order the file lists them in. Returns the valid rows and a list
+// of { row, transaction, errors } for the rest, with `row` taken from
+// `rowNumbers` (file position by default).
+function validateImportedTransactions(rows, ledger = transactions, rowNumbers = rows.map((_, index) => index + 1)) {
+    const valid = [];
+    const invalid = [];
+    const rowIndex = new Map(rows.map((transaction, index) => [transaction, index]));
+
+    sortTransactionsChronologically(rows).forEach(transaction => {
+        const { errors } = validateTransaction(transaction, [...ledger, ...valid]);
+        if (errors.length > 0) {
+            invalid.push({ row: rowNumbers[rowIndex.get(transaction)], transaction, errors });
+        } else {
+            valid.push(transaction);
+        }
+    });
+
+    invalid.sort((a, b) => a.row - b.row);
+    return { valid, invalid };
+}
+
+function describeInvalidRows(invalid) {
+    return invalid
+        .map(({ row, transaction, errors }) => {
+            const label = [transaction.date, transaction.action, transaction.etf].filter(Boolean).join(' ');
+            return `Row ${row}${label ? ` (${label})` : ''}: ${errors.map(e => e.message).join('; ')}`;
+        })
+        .join('\n');
+}
+
+function showFieldErrors(errors) {
+    clearFieldErrors();
+
+    errors.forEach(({ field, message }) => {
+        const input = document.getElementById(VALIDATION_FIELD_INPUTS[field]);
+        const group = input && input.closest('.form-group');
+        if (!group) return;
+
+        input.classList.add('invalid');
+        const note = document.createElement('div');
+        note.className = 'field-error';
+        note.textContent = message;
+        group.appendChild(note);
+    });
+
+    const firstInvalid = document.querySelector('#transactionForm .invalid');
+    if (firstInvalid) firstInvalid.focus();
+}
+
+function clearFieldErrors() {
+    document.querySelectorAll('#transactionForm .field-error').forEach(note => note.remove());
+    document.querySelectorAll('#transactionForm .invalid').forEach(input => input.classList.remove('invalid'));
+}
+
+// ============================================================================
+// TRANSACTION FORM
+// ============================================================================
+
+async function addTransaction(event) {
+    event.preventDefault();
+
+    const action = document.getElementById('transactionAction').value;
+    const etf = CASH_ACTIONS.includes(action)
+        ? CASH_SYMBOL
+        : document.getElementById('transactionETF').value.toUpperCase();
+    const isAmountOnly = AMOUNT_ONLY_ACTIONS.includes(action);
+    const isCorporateAction = CORPORATE_ACTIONS.includes(action);
+    const shares = isAmountOnly || isCorporateAction ? 0 : parseFloat(document.getElementById('transactionShares').value);
+    const price = isAmountOnly || isCorporateAction ? 0 : parseFloat(document.getElementById('transactionPrice').value);
+    const date = document.getElementById('transactionDate').value;
+    const notes = document.getElementById('transactionNotes').value;
+    const currency = document.getElementById('transactionCurrency').value;
+
+    const hasCommission = action === 'BUY' || action === 'SELL';
+    const commissionInput = document.getElementById('transactionCommission').value;
+    const commission = hasCommission && commissionInput !== '' ? parseFloat(commissionInput) : 0;
+
+    // Commission is part of a BUY's cost basis and comes out of SELL proceeds
+    let total;
+    if (isCorporateAction) {
+        total = 0;
+    } else if (isAmountOnly) {
+        total = parseFloat(document.getElementById('transactionAmount').value);
+    } else if (action === 'SELL') {
+        total = shares * price - commission;
+    } else {
+        total = shares * price + commission;
+    }
+    
+    const transaction = {
+        id: editingTransactionId || generateId('tx'),
+        date,
+        etf,
+        action,
+        shares,
+        price,
+        total,
+        currency,
+        notes
+    };
+
+    if (commission !== 0) transaction.commission = commission;
+
+    if (isCorporateAction) {
+        transaction.ratio = parseFloat(document.getElementById('transactionRatio').value);
+        if (action === 'SYMBOL_CHANGE') {
+            transaction.newSymbol = document.getElementById('transactionNewSymbol').value.trim().toUpperCase();
+        }
+    }
+
+    if (action === 'BUY') {
+        const trancheId = document.getElementById('transactionTranche').value;
+        if (trancheId) transaction.tranche = trancheId;
+    }
+
+    if (action === 'SELL') {
+        transaction.lotMethod = document.getElementById('transactionLotMethod').value;
+
+        if (transaction.lotMethod === 'SPECIFIC') {
+            transaction.lotSelections = getLotSelections();
+        }
+    }
+
+    const { errors, warnings } = validateTransaction(transaction);
+
+    if (errors.length > 0) {
+        showFieldErrors(errors);
+        return;
+    }
+    clearFieldErrors();
+
+    if (warnings.length > 0) {
+        const proceed = confirm(`${warnings.map(w => w.message).join('\n')}\n\nRecord it anyway?`);
+        if (!proceed) return;
+    }
+
+    const isEdit = Boolean(editingTransactionId);
+    const nextTransactions = isEdit
+        ? transactions.map(t => (t.id === editingTransactionId ? transaction : t))
+        : [...transactions, transaction];
+
+    if (etf !== CASH_SYMBOL && currencySettings.etfCurrencies[etf] !== currency) {
+        currencySettings.etfCurrencies[etf] = currency;
+        await saveDataToCloud(CONFIG.CLOUD_CURRENCY_SETTINGS_KEY, currencySettings);
+    }
+
+    await commitLedgerChange(
+        `${isEdit ? 'Edit' : 'Add'} ${formatAction(action)} ${etf} ${formatDate(date)}`,
+        nextTransactions
+    );
+
+    closeTransactionModal();
+    showNotification(isEdit ? 'Transaction updated' : 'Transaction added successfully', 'success');
+}
+
+function editTransaction(id) {
+    const transaction = findTransactionById(id);
+    if (!transaction) return;
+
+    openTransactionModal(transaction.etf, transaction.action, {}, transaction);
+}
+
+async function deleteTransaction(id) {
+    if (!confirm('Are you sure you want to delete this transaction?')) return;
+
+    const transactionToDelete = findTransactionById(id);
+    if (!transactionToDelete) return;
+
+    await commitLedgerChange(
+        `Delete ${formatAction(transactionToDelete.action)} ${transactionToDelete.etf} ${formatDate(transactionToDelete.date)}`,
+        transactions.filter(t => t.id !== id)
+    );
+
+    showNotification('Transaction deleted', 'info');
+}
+
+function toggleTransactionSelection(id, selected) {
+    if (selected) {
+        selectedTransactionIds.add(id);
+    } else {
+        selectedTransactionIds.delete(id);
+    }
+    updateBulkDeleteButton();
+}
+
+function toggleAllTransactions(selected) {
+    selectedTransactionIds = selected ? new Set(transactions.map(t => t.id)) : new Set();
+    renderTransactions();
+}
+
+function updateBulkDeleteButton() {
+    const button = document.getElementById('deleteSelectedButton');
+    if (!button) return;
+
+    button.disabled = selectedTransactionIds.size === 0;
+    button.textContent = `Delete Selected${selectedTransactionIds.size > 0 ? ` (${selectedTransactionIds.size})` : ''}`;
+}
+
+async function deleteSelectedTransactions() {
+    const count = selectedTransactionIds.size;
+    if (count === 0) return;
+    if (!confirm(`Delete ${count} selected transaction${count === 1 ? '' : 's'}? A snapshot is kept so they can be restored.`)) return;
+
+    await takeSnapshot('BULK_DELETE', transactions);
+    const remaining = transactions.filter(t => !selectedTransactionIds.has(t.id));
+    selectedTransactionIds = new Set();
+
+    await commitLedgerChange(`Delete ${count} transactions`, remaining);
+    showNotification(`Deleted ${count} transactions`, 'success');
+}
+
+// Two ledger rows describe the same fill when date, ETF, shares and price match.
+// Amount-only entries have no shares or price, so their type and amount must
+// match instead.
+function isSameTransaction(a, b) {
+    const sameFill = a.date === b.date &&
+        a.etf === b.etf &&
+        a.shares === b.shares &&
+        a.price === b.price;
+    if (!sameFill) return false;
+    if (!AMOUNT_ONLY_ACTIONS.includes(a.action) && !AMOUNT_ONLY_ACTIONS.includes(b.action)) return true;
+
+    return a.action === b.action && Math.abs(a.total - b.total) < 0.005;
+}
+
+// ============================================================================
+// RESERVED CAPITAL & TRANCHE PLANNING
+// ============================================================================
+
+let editingReserveETF = null;
+
+// Tranches for an ETF with fill status and distance from the current price
+function getTrancheStatus(etf) {
+    const plan = reserves[etf];
+    if (!plan) return [];
+
+    const currentPrice = currentPrices[etf] || 0;
+
+    return (plan.tranches || [])
+        .map(tranche => {
+            const fill = transactions.find(t =>
+                t.etf === etf && t.action === 'BUY' && t.tranche === tranche.id
+            );
+            return {
+                ...tranche,
+                filled: Boolean(fill),
+                fill,
+                cost: tranche.price * tranche.shares,
+                distance: currentPrice > 0 ? ((tranche.price - currentPrice) / currentPrice) * 100 : null
+            };
+        })
+        .sort((a, b) => b.price - a.price);
+}
+
+// Open tranches, plus the one filled by the transaction being edited
+function getOpenTranches(etf, editingId = null) {
+    return getTrancheStatus(etf).filter(tranche => !tranche.filled || (editingId && tranche.fill.id === editingId));
+}
+
+function openReserveModal(etf) {
+    editingReserveETF = etf;
+    const plan = reserves[etf] || { budget: 0, tranches: [] };
+
+    document.getElementById('reserveModalTitle').textContent = `Reserved Capital - ${etf}`;
+    document.getElementById('reserveBudget').value = plan.budget || '';
+    document.getElementById('trancheRows').innerHTML = '';
+    plan.tranches.forEach(addTrancheRow);
+
+    document.getElementById('reserveModal').style.display = 'flex';
+}
+
+function closeReserveModal() {
+    document.getElementById('reserveModal').style.display = 'none';
+    editingReserveETF = null;
+}
+
+function addTrancheRow(tranche = {}) {
+    const container = document.getElementById('trancheRows');
+    const row = document.createElement('div');
+    row.className = 'tranche-edit-row';
+    row.dataset.id = tranche.id || generateId('tranche');
+    row.innerHTML = `
+        <input type="text" class="tranche-label-input" placeholder="e.g., Scale T3" value="${escapeHtml(tranche.label || '')}">
+        <input type="number" class="tranche-price-input" step="0.01" placeholder="Target price" value="${tranche.price ?? ''}">
+        <input type="number" class="tranche-shares-input" step="0.01" placeholder="Shares" value="${tranche.shares ?? ''}">
+        <button type="button" class="btn-icon" title="Remove tranche" onclick="this.parentElement.remove()">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+        </button>
+    `;
+    container.appendChild(row);
+}
+
+async function saveReservePlan(event) {
+    event.preventDefault();
+    if (!editingReserveETF) return;
+
+    const budget = parseFloat(document.getElementById('reserveBudget').value) || 0;
+    const tranches = Array.from(document.querySelectorAll('#trancheRows .tranche-edit-row'))
+        .map(row => ({
+            id: row.dataset.id,
+            label: row.querySelector('.tranche-label-input').value.trim(),
+            price: parseFloat(row.querySelector('.tranche-price-input').value),
+            shares: parseFloat(row.querySelector('.tranche-shares-input').value)
+        }))
+        .filter(tranche => tranche.price > 0 && tranche.shares > 0);
+
+    if (budget <= 0 && tranches.length === 0) {
+        delete reserves[editingReserveETF];
+    } else {
+        reserves[editingReserveETF] = { budget, tranches };
+    }
+
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_RESERVES_KEY), reserves);
+
+    recalculatePortfolioFromTransactions();
+    renderDashboard();
+    renderStrategy();
+
+    closeReserveModal();
+    showNotification('Reserve plan saved', 'success');
+}
+
+// ============================================================================
+// TARGET ALLOCATION & REBALANCING
+// ============================================================================
+
+// Market value in the base currency
+function getPositionValue(position) {
+    const currentPrice = currentPrices[position.etf] || position.avgEntry || 0;
+    return convertCurrency(position.shares * currentPrice, position.currency);
+}
+
+// Compares target and actual weights and suggests whole-share trades.
+// CASH_ONLY spreads the new cash over underweight ETFs in proportion to their
+// shortfall; CASH_AND_SELLS trades every ETF outside the tolerance band back
+// to its target, funding buys with the new cash and with sells.
+function calculateRebalanceTrades(settings = targetAllocation) {
+    const metrics = calculateMetrics();
+    const cash = Math.max(0, settings.cash || 0);
+    const base = metrics.holdingsValue + cash;
+    const etfs = new Set([
+        ...portfolio.filter(p => p.shares > 0).map(p => p.etf),
+        ...Object.keys(settings.weights)
+    ]);
+
+    const rows = Array.from(etfs).map(etf => {
+        const position = portfolio.find(p => p.etf === etf);
+        const currency = position ? position.currency : getEtfCurrency(etf);
+        const price = currentPrices[etf] || (position && position.avgEntry) || 0;
+        const priceInBase = convertCurrency(price, currency);
+        const value = position ? getPositionValue(position) : 0;
+        const hasTarget = settings.weights[etf] > 0;
+        const target = settings.weights[etf] || 0;
+        const actual = metrics.holdingsValue > 0 ? (value / metrics.holdingsValue) * 100 : 0;
+        // Weight once the new cash is invested, which is what trades move
+        const postCashWeight = base > 0 ? (value / base) * 100 : 0;
+
+        return {
+            etf,
+            currency,
+            price,
+            priceInBase,
+            value,
+            hasTarget,
+            target,
+            actual,
+            drift: actual - target,
+            outOfBand: hasTarget && Math.abs(actual - target) > settings.tolerance,
+            needsTrade: hasTarget && priceInBase > 0 && Math.abs(postCashWeight - target) > settings.tolerance,
+            targetValue: base * target / 100,
+            action: null,
+            shares: 0
+        };
+    });
+
+    // ETFs without a target are left alone, and so are those inside the band
+    if (settings.mode === 'CASH_AND_SELLS') {
+        rows.forEach(row => {
+            if (!row.needsTrade) return;
+
+            const shares = Math.trunc((row.targetValue - row.value) / row.priceInBase);
+            if (shares !== 0) {
+                row.action = shares > 0 ? 'BUY' : 'SELL';
+                row.shares = Math.abs(shares);
+            }
+        });
+    } else {
+        const shortfalls = rows.map(row => (row.needsTrade ? Math.max(0, row.targetValue - row.value) : 0));
+        const totalShortfall = shortfalls.reduce((sum, s) => sum + s, 0);
+        const scale = totalShortfall > cash ? cash / totalShortfall : 1;
+
+        rows.forEach((row, i) => {
+            if (!row.needsTrade) return;
+            const shares = Math.floor((shortfalls[i] * scale) / row.priceInBase);
+            if (shares > 0) {
+                row.action = 'BUY';
+                row.shares = shares;
+            }
+        });
+    }
+
+    return rows.sort((a, b) => b.target - a.target || b.actual - a.actual);
+}
+
+function renderRebalancing() {
+    const tbody = document.getElementById('rebalanceBody');
+    if (!tbody) return;
+
+    document.getElementById('rebalanceTolerance').value = targetAllocation.tolerance;
+    document.getElementById('rebalanceMode').value = targetAllocation.mode;
+    document.getElementById('rebalanceCash').value = targetAllocation.cash || '';
+
+    const totalTarget = Object.values(targetAllocation.weights).reduce((sum, w) => sum + w, 0);
+    const warning = document.getElementById('rebalanceWarning');
+    warning.textContent = Math.abs(totalTarget - 100) > 0.01
+        ? `Target weights add up to ${totalTarget.toFixed(2)}%, not 100%`
+        : '';
+
+    tbody.innerHTML = '';
+
+    calculateRebalanceTrades().forEach(row => {
+        const tradeCell = row.action
+            ? `<button class="btn-small ${row.action === 'BUY' ? 'btn-primary' : 'btn-danger'}"
+                    onclick="openTransactionModal('${row.etf}', '${row.action}', { shares: ${row.shares}, price: ${row.price}, notes: 'Rebalance to ${row.target}% target' })">
+                    ${row.action === 'BUY' ? 'Buy' : 'Sell'} ${row.shares}
+                </button>
+                <small>${formatCurrency(row.shares * row.price, row.currency)}</small>`
+            : '<span class="text-muted">-</span>';
+
+        const tr = document.createElement('tr');
+        tr.innerHTML = `
+            <td class="etf-symbol">${row.etf}</td>
+            <td>
+                <input type="number" class="target-weight-input" data-etf="${row.etf}"
+                    min="0" max="100" step="0.5" value="${row.target || ''}" placeholder="0">
+            </td>
+            <td>${row.actual.toFixed(2)}%</td>
+            ${row.hasTarget
+                ? `<td class="${row.outOfBand ? 'negative' : 'positive'}">${row.drift >= 0 ? '+' : ''}${row.drift.toFixed(2)}%</td>`
+                : '<td class="text-muted" title="No target set">-</td>'}
+            <td class="actions">${tradeCell}</td>
+        `;
+        tbody.appendChild(tr);
+    });
+
+    tbody.querySelectorAll('.target-weight-input').forEach(input => {
+        input.addEventListener('change', () => setTargetWeight(input.dataset.etf, input.value));
+    });
+}
+
+async function setTargetWeight(etf, value) {
+    const weight = parseFloat(value);
+
+    if (weight > 0) {
+        targetAllocation.weights[etf] = weight;
+    } else {
+        delete targetAllocation.weights[etf];
+    }
+
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_TARGETS_KEY), targetAllocation);
+    renderRebalancing();
+}
+
+async function updateRebalanceSettings() {
+    targetAllocation.tolerance = Math.max(0, parseFloat(document.getElementById('rebalanceTolerance').value) || 0);
+    targetAllocation.mode = document.getElementById('rebalanceMode').value;
+    targetAllocation.cash = Math.max(0, parseFloat(document.getElementById('rebalanceCash').value) || 0);
+
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_TARGETS_KEY), targetAllocation);
+    renderRebalancing();
+}
+
+function addTargetETF() {
+    const input = document.getElementById('rebalanceNewETF');
+    const etf = input.value.trim().toUpperCase();
+    if (!etf) return;
+
+    input.value = '';
+    setTargetWeight(etf, targetAllocation.weights[etf] || 1);
+}
+
+// ============================================================================
+// TAX REPORT (FORM 8949 STYLE)
+// ============================================================================
+
+// Long term means held for more than one year: sold after the first
+// anniversary of the acquisition date
+function isLongTermHolding(acquired, sold) {
+    const [year, month, day] = acquired.split('-').map(Number);
+    return sold > makeDateKey(year + 1, month, day);
+}
+
+// One row per lot slice sold in `year`, split into short and long term, with
+// wash-sale adjustments. Amounts are in the base currency: proceeds at the
+// sale date's rate, cost at the purchase date's. Returns
+// { year, shortTerm, longTerm, totals }.
+function buildTaxReport(year, positionList = portfolio, transactionList = transactions) {
+    const rows = [];
+
+    positionList.forEach(position => {
+        const earliestLot = position.lots.reduce((earliest, lot) => (!earliest || lot.date < earliest ? lot.date : earliest), null);
+
+        position.sales
+            .filter(sale => sale.date.startsWith(`${year}-`))
+            .forEach(sale => {
+                // Return of capital beyond basis has no lots; it is a gain on the holding
+                if (sale.lots.length === 0) {
+                    rows.push({
+                        etf: position.etf,
+                        description: `${position.etf} return of capital in excess of basis`,
+                        acquired: null,
+                        sold: sale.date,
+                        shares: 0,
+                        proceeds: convertCurrency(sale.proceeds, position.currency, sale.date),
+                        costBasis: 0,
+                        longTerm: Boolean(earliestLot) && isLongTermHolding(earliestLot, sale.date),
+                        saleLots: [],
+                        transaction: sale.transaction
+                    });
+                    return;
+                }
+
+                sale.lots.forEach(slice => {
+                    const proceeds = convertCurrency(sale.proceeds * (slice.shares / sale.shares), position.currency, sale.date);
+                    rows.push({
+                        etf: position.etf,
+                        description: `${formatShares(slice.shares)} sh ${position.etf}`,
+                        acquired: slice.acquired,
+                        sold: sale.date,
+                        shares: slice.shares,
+                        proceeds,
+                        costBasis: convertCurrency(slice.cost, position.currency, slice.acquired),
+                        longTerm: isLongTermHolding(slice.acquired, sale.date),
+                        saleLots: sale.lots.map(l => l.lot),
+                        transaction: sale.transaction
+                    });
+                });
+            });
+    });
+
+    rows.sort((a, b) => a.sold.localeCompare(b.sold) || a.etf.localeCompare(b.etf));
+    applyWashSales(rows, transactionList);
+
+    rows.forEach(row => {
+        row.gain = row.proceeds - row.costBasis + row.adjustment;
+    });
+
+    const sum = (list, field) => list.reduce((total, row) => total + row[field], 0);
+    const summarize = list => ({
+        proceeds: sum(list, 'proceeds'),
+        costBasis: sum(list, 'costBasis'),
+        adjustment: sum(list, 'adjustment'),
+        gain: sum(list, 'gain')
+    });
+
+    const shortTerm = rows.filter(row => !row.longTerm);
+    const longTerm = rows.filter(row => row.longTerm);
+
+    return {
+        year,
+        shortTerm,
+        longTerm,
+        totals: {
+            shortTerm: summarize(shortTerm),
+            longTerm: summarize(longTerm),
+            all: summarize(rows)
+        }
+    };
+}
+
+// A loss is a wash sale when the same ETF is bought within the window before
+// or after the sale. The disallowed part is the loss times the share of the
+// sold shares that were replaced; each purchased share can only replace once.
+// Shares sold in the same sale are never their own replacement. Purchases
+// under an earlier or later symbol of the same holding count, and share
+// counts are compared in today's shares so splits in between don't skew the
+// fraction. The disallowed loss belongs in the replacement shares' basis,
+// which this report flags but does not carry into later rows.
+function applyWashSales(rows, transactionList) {
+    const windowDays = CONFIG.TAX.washSaleWindowDays;
+    const purchaseCounts = {};
+    const purchases = sortTransactionsChronologically(transactionList)
+        .filter(t => LOT_ACTIONS.includes(t.action))
+        .map(t => {
+            purchaseCounts[t.etf] = (purchaseCounts[t.etf] || 0) + 1;
+            const { factor } = traceShareForward(t.etf, t.date, transactionList);
+            return { transaction: t, lotId: getLotId(t, purchaseCounts[t.etf]), available: t.shares * factor };
+        });
+
+    rows.forEach(row => {
+        row.adjustment = 0;
+        row.washSale = false;
+        row.replacements = [];
+
+        const loss = row.costBasis - row.proceeds;
+        if (loss <= 0 || row.shares <= 0) return;
+
+        const { symbol, factor } = traceShareForward(row.etf, row.sold, transactionList);
+        const lineage = getSymbolLineage(symbol, transactionList);
+        const soldShares = row.shares * factor;
+
+        let unreplaced = soldShares;
+        purchases
+            .filter(p => lineage.includes(p.transaction.etf) &&
+                !row.saleLots.includes(p.lotId) &&
+                Math.abs(daysBetween(row.sold, p.transaction.date)) <= windowDays)
+            .forEach(purchase => {
+                const used = Math.min(unreplaced, purchase.available);
+                if (used <= SHARE_EPSILON) return;
+
+                purchase.available -= used;
+                unreplaced -= used;
+                row.replacements.push({ date: purchase.transaction.date, shares: used / factor });
+            });
+
+        const replaced = soldShares - unreplaced;
+        if (replaced > SHARE_EPSILON) {
+            row.washSale = true;
+            row.adjustment = loss * (replaced / soldShares);
+        }
+    });
+}
+
+function getTaxReportYears() {
+    const years = new Set([new Date().getFullYear()]);
+    portfolio.forEach(position => {
+        position.sales.forEach(sale => years.add(Number(sale.date.slice(0, 4))));
+    });
+    return [...years].sort((a, b) => b - a);
+}
+
+function renderTaxReport() {
+    const yearSelect = document.getElementById('taxYear');
+    if (!yearSelect) return;
+
+    const years = getTaxReportYears();
+    const selected = Number(yearSelect.value) || years.find(y => y < new Date().getFullYear()) || years[0];
+    yearSelect.innerHTML = years.map(y => `<option value="${y}">${y}</option>`).join('');
+    yearSelect.value = selected;
+
+    const report = buildTaxReport(selected);
+    const washSales = [...report.shortTerm, ...report.longTerm].filter(row => row.washSale);
+
+    document.getElementById('taxReportTitle').textContent = `Sales of Capital Assets - ${selected}`;
+    document.getElementById('taxSummary').innerHTML = `
+        <div><span class="text-muted">Short-term gain/loss</span> <strong class="${report.totals.shortTerm.gain >= 0 ? 'positive' : 'negative'}">${formatCurrency(report.totals.shortTerm.gain)}</strong></div>
+        <div><span class="text-muted">Long-term gain/loss</span> <strong class="${report.totals.longTerm.gain >= 0 ? 'positive' : 'negative'}">${formatCurrency(report.totals.longTerm.gain)}</strong></div>
+        <div><span class="text-muted">Wash-sale loss disallowed</span> <strong>${formatCurrency(report.totals.all.adjustment)}</strong> (${washSales.length} sale${washSales.length === 1 ? '' : 's'})</div>
+    `;
+
+    renderTaxPart('taxShortTermBody', report.shortTerm, report.totals.shortTerm);
+    renderTaxPart('taxLongTermBody', report.longTerm, report.totals.longTerm);
+}
+
+function renderTaxPart(tbodyId, rows, totals) {
+    const tbody = document.getElementById(tbodyId);
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="text-muted">No sales</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr class="${row.washSale ? 'wash-sale' : ''}">
+            <td>${escapeHtml(row.description)}</td>
+            <td>${row.acquired ? formatDate(row.acquired) : 'Various'}</td>
+            <td>${formatDate(row.sold)}</td>
+            <td>${formatCurrency(row.proceeds)}</td>
+            <td>${formatCurrency(row.costBasis)}</td>
+            <td title="${row.washSale ? `Replaced by purchases on ${row.replacements.map(r => `${formatDate(r.date)} (${formatShares(r.shares)} sh)`).join(', ')}` : ''}">
+                ${row.washSale ? 'W' : ''}
+            </td>
+            <td>${row.adjustment ? formatCurrency(row.adjustment) : ''}</td>
+            <td class="${row.gain >= 0 ? 'positive' : 'negative'}">${formatCurrency(row.gain)}</td>
+        </tr>
+    `).join('') + `
+        <tr class="total-row">
+            <td colspan="3">Totals</td>
+            <td>${formatCurrency(totals.proceeds)}</td>
+            <td>${formatCurrency(totals.costBasis)}</td>
+            <td></td>
+            <td>${totals.adjustment ? formatCurrency(totals.adjustment) : ''}</td>
+            <td class="${totals.gain >= 0 ? 'positive' : 'negative'}">${formatCurrency(totals.gain)}</td>
+        </tr>
+    `;
+}
+
+function csvEscape(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function downloadTaxReportCSV() {
+    const year = Number(document.getElementById('taxYear').value);
+    const report = buildTaxReport(year);
+    const money = amount => amount.toFixed(2);
+
+    const lines = [[
+        'Term', 'Description', 'Date Acquired', 'Date Sold', 'Proceeds', 'Cost Basis',
+        'Adjustment Code', 'Adjustment Amount', 'Gain or Loss', 'Wash Sale Replacements'
+    ]];
+    [['Short', report.shortTerm], ['Long', report.longTerm]].forEach(([term, rows]) => {
+        rows.forEach(row => lines.push([
+            term,
+            row.description,
+            row.acquired || 'VARIOUS',
+            row.sold,
+            money(row.proceeds),
+            money(row.costBasis),
+            row.washSale ? 'W' : '',
+            row.adjustment ? money(row.adjustment) : '',
+            money(row.gain),
+            row.replacements.map(r => `${r.date} (${formatShares(r.shares)} sh)`).join('; ')
+        ]));
+    });
+
+    const csv = lines.map(line => line.map(csvEscape).join(',')).join('\n');
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `form-8949-${year}.csv`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+    showNotification(`Tax report for ${year} downloaded`, 'success');
+}
+
+// Prints only the tax report; see the print styles for body.printing-tax-report
+function printTaxReport() {
+    document.body.classList.add('printing-tax-report');
+    window.addEventListener('afterprint', () => document.body.classList.remove('printing-tax-report'), { once: true });
+    window.print();
+}
+
+// ============================================================================
+// PRICE UPDATES
+// ============================================================================
+
+function isMarketHours() {
+    return getMarketStatus().session === 'REGULAR';
+}
+
+async function fetchCurrentPrices(isAutoUpdate = false) {
+    // FX rates are quoted like ETFs and go through the same providers; the
+    // risk benchmark is fetched too so its daily closes accumulate
+    const activeETFs = [...new Set([
+        ...portfolio.filter(p => p.shares > 0).map(p => p.etf),
+        ...getFxSymbolsInUse(),
+        ...(riskSettings.benchmark ? [riskSettings.benchmark] : [])
+    ])];
+    if (activeETFs.length === 0) return;
+    
+    if (isAutoUpdate) showUpdateIndicator();
+    
+    try {
+        console.log(`Fetching prices for: ${activeETFs.join(',')}`);
+
+        const quotes = await fetchQuotesFromProviders(activeETFs);
+        const updated = Object.keys(quotes);
+
+        updated.forEach(symbol => {
+            const { price, timestamp, provider } = quotes[symbol];
+            currentPrices[symbol] = price;
+            priceMeta[symbol] = { provider, timestamp };
+
+            // Mock quotes are random and must not end up in the close history
+            if (provider !== 'mock') recordDailyClose(symbol, price, new Date(timestamp));
+        });
+
+        const missing = activeETFs.filter(etf => !quotes[etf]);
+        if (missing.length > 0) {
+            console.warn(`⚠️ No price source returned ${missing.join(', ')}; keeping last known prices`);
+            if (!isAutoUpdate) {
+                showNotification(`Live prices unavailable for ${missing.join(', ')} - showing last known prices`, 'error');
+            }
+        }
+
+        if (updated.length > 0) {
+            lastPriceUpdate = new Date();
+            await savePricesToCloud();
+            await savePriceHistory();
+            updateLastUpdated();
+            console.log('✅ Prices updated at', lastPriceUpdate);
+
+            await evaluateAlerts();
+        }
+
+        // Re-render either way so stale badges reflect the latest attempt
+        renderDashboard();
+        renderStrategy();
+    } catch (error) {
+        console.error('⚠️ Price update failed:', error);
+        if (!isAutoUpdate) showNotification(`Price update failed: ${error.message}`, 'error');
+    } finally {
+        if (isAutoUpdate) hideUpdateIndicator();
+    }
+}
+
+// Picks the refresh rate for the current session and schedules a re-plan at
+// the next session boundary (open, close, start/end of extended hours)
+function setupAutomaticUpdates() {
+    if (priceUpdateInterval) clearInterval(priceUpdateInterval);
+    if (sessionBoundaryTimer) clearTimeout(sessionBoundaryTimer);
+
+    const status = getMarketStatus();
+    const updateInterval = {
+        REGULAR: CONFIG.PRICE_UPDATE.marketHoursInterval,
+        PRE: CONFIG.PRICE_UPDATE.extendedHoursInterval,
+        POST: CONFIG.PRICE_UPDATE.extendedHoursInterval
+    }[status.session] || CONFIG.PRICE_UPDATE.afterHoursInterval;
+    
+    console.log(`Setting up price updates every ${updateInterval / 1000 / 60} minutes (${status.label})`);
+    
+    priceUpdateInterval = setInterval(() => {
+        console.log('Automatic price update triggered');
+        fetchCurrentPrices(true);
+    }, updateInterval);
+
+    // setTimeout delays are capped at ~24.8 days; re-planning early is harmless
+    const untilBoundary = Math.min(status.nextChange.getTime() - Date.now(), 2 ** 31 - 1);
+    sessionBoundaryTimer = setTimeout(() => {
+        console.log('Market session changed, re-planning price updates');
+        setupAutomaticUpdates();
+        fetchCurrentPrices(true);
+    }, Math.max(untilBoundary, 0) + 1000);
+
+    renderMarketStatus(status);
+}
+
+function handleVisibilityChange() {
+    if (document.hidden) return;
+
+    // Background tabs throttle timers, so the session may have changed unseen
+    setupAutomaticUpdates();
+    syncActivePortfolio();
+    takeDailySnapshot();
+
+    const timeSinceUpdate = lastPriceUpdate 
+        ? Date.now() - lastPriceUpdate.getTime() 
+        : Infinity;
+    
+    if (timeSinceUpdate > CONFIG.PRICE_UPDATE.staleThreshold) {
+        console.log('Page visible after long period, fetching fresh prices');
+        fetchCurrentPrices(true);
+    }
+}
+
+function renderMarketStatus(status = getMarketStatus()) {
+    const element = document.getElementById('marketStatus');
+    if (!element) return;
+
+    const next = formatMarketTime(status.nextChange);
+    const detail = {
+        REGULAR: `closes ${next}`,
+        PRE: `opens ${next}`,
+        POST: `ends ${next}`,
+        CLOSED: `pre-market ${next}`
+    }[status.session];
+
+    element.textContent = `${status.label} · ${detail}`;
+    element.className = `market-status ${status.session.toLowerCase()}`;
+    element.title = status.reason || '';
+}
+
+// ============================================================================
+// MARKET CALENDAR (NYSE, America/New_York)
+// ============================================================================
+
+const MARKET_TIME_ZONE = 'America/New_York';
+
+// Session boundaries in minutes after midnight, New York time
+const MARKET_SESSIONS = {
+    preOpen: 4 * 60,
+    open: 9 * 60 + 30,
+    close: 16 * 60,
+    earlyClose: 13 * 60,
+    postClose: 20 * 60,
+    earlyPostClose: 17 * 60
+};
+
+// Unscheduled full-day closures (national days of mourning and the like)
+const MARKET_SPECIAL_CLOSURES = {
+    '2025-01-09': 'National Day of Mourning (President Carter)'
+};
+
+const newYorkFormatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: MARKET_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+});
+
+// Wall-clock date and time in New York for an instant
+function getNewYorkTime(date = new Date()) {
+    const parts = {};
+    newYorkFormatter.formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    const dateKey = `${parts.year}-${parts.month}-${parts.day}`;
+    return {
+        dateKey,
+        weekday: new Date(`${dateKey}T00:00:00Z`).getUTCDay(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        seconds: Number(parts.second)
+    };
+}
+
+// The instant at which New York's clock shows `minutes` past midnight on
+// `dateKey`. Handles the EST/EDT switch by measuring the offset at the guess.
+function newYorkTimeToDate(dateKey, minutes) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+    let instant = wallClock + 5 * 60 * 60 * 1000;
+    for (let i = 0; i < 2; i++) {
+        const seen = getNewYorkTime(new Date(instant));
+        const seenWallClock = Date.parse(`${seen.dateKey}T00:00:00Z`) + (seen.minutes * 60 + seen.seconds) * 1000;
+        instant += wallClock - seenWallClock;
+    }
+    return new Date(instant);
+}
+
+function addDaysToKey(dateKey, days) {
+    return toDateKey(Date.parse(`${dateKey}T00:00:00Z`) + days * MS_PER_DAY);
+}
+
+function makeDateKey(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// nth weekday of a month (n = -1 for the last one); month is 1-12
+function nthWeekdayOfMonth(year, month, weekday, n) {
+    if (n > 0) {
+        const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        return makeDateKey(year, month, 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7);
+    }
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const lastWeekday = new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay();
+    return makeDateKey(year, month, lastDay - ((lastWeekday - weekday + 7) % 7));
+}
+
+// Gregorian Easter (anonymous algorithm)
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return makeDateKey(year, month, day);
+}
+
+// Fixed-date holidays move to Friday when on a Saturday and to Monday when
+// on a Sunday. NYSE does not close the Friday before a Saturday New Year.
+function observedHoliday(year, month, day, allowFriday = true) {
+    const dateKey = makeDateKey(year, month, day);
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    if (weekday === 6) return allowFriday ? addDaysToKey(dateKey, -1) : null;
+    if (weekday === 0) return addDaysToKey(dateKey, 1);
+    return dateKey;
+}
+
+// { 'YYYY-MM-DD': holiday name } for full-day closures
+const marketHolidayCache = {};
+function getMarketHolidays(year) {
+    if (marketHolidayCache[year]) return marketHolidayCache[year];
+
+    const holidays = {
+        [observedHoliday(year, 1, 1, false)]: "New Year's Day",
+        [nthWeekdayOfMonth(year, 1, 1, 3)]: 'Martin Luther King Jr. Day',
+        [nthWeekdayOfMonth(year, 2, 1, 3)]: "Washington's Birthday",
+        [addDaysToKey(getEasterSunday(year), -2)]: 'Good Friday',
+        [nthWeekdayOfMonth(year, 5, 1, -1)]: 'Memorial Day',
+        [observedHoliday(year, 7, 4)]: 'Independence Day',
+        [nthWeekdayOfMonth(year, 9, 1, 1)]: 'Labor Day',
+        [nthWeekdayOfMonth(year, 11, 4, 4)]: 'Thanksgiving Day',
+        [observedHoliday(year, 12, 25)]: 'Christmas Day'
+    };
+    if (year >= 2022) holidays[observedHoliday(year, 6, 19)] = 'Juneteenth';
+    delete holidays.null;
+
+    Object.entries(MARKET_SPECIAL_CLOSURES).forEach(([dateKey, name]) => {
+        if (dateKey.startsWith(`${year}-`)) holidays[dateKey] = name;
+    });
+
+    marketHolidayCache[year] = holidays;
+    return holidays;
+}
+
+// 1:00 PM closes: July 3, the day after Thanksgiving and Christmas Eve,
+// when they fall on a trading day
+function getEarlyCloseReason(dateKey) {
+    const year = Number(dateKey.slice(0, 4));
+    const early = {
+        [makeDateKey(year, 7, 3)]: 'Independence Day eve',
+        [addDaysToKey(nthWeekdayOfMonth(year, 11, 4, 4), 1)]: 'Day after Thanksgiving',
+        [makeDateKey(year, 12, 24)]: 'Christmas Eve'
+    };
+    return isTradingDay(dateKey) ? early[dateKey] || null : null;
+}
+
+function getHolidayName(dateKey) {
+    return getMarketHolidays(Number(dateKey.slice(0, 4)))[dateKey] || null;
+}
+
+function isTradingDay(dateKey) {
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return weekday !== 0 && weekday !== 6 && !getHolidayName(dateKey);
+}
+
+// Session boundaries for a trading day as [{ session, start, end }] in
+// minutes after midnight New York time
+function getTradingSessions(dateKey) {
+    const early = Boolean(getEarlyCloseReason(dateKey));
+    const close = early ? MARKET_SESSIONS.earlyClose : MARKET_SESSIONS.close;
+
+    return [
+        { session: 'PRE', start: MARKET_SESSIONS.preOpen, end: MARKET_SESSIONS.open },
+        { session: 'REGULAR', start: MARKET_SESSIONS.open, end: close },
+        { session: 'POST', start: close, end: early ? MARKET_SESSIONS.earlyPostClose : MARKET_SESSIONS.postClose }
+    ];
+}
+
+// Current session ('PRE', 'REGULAR', 'POST' or 'CLOSED'), a display label,
+// why the market is closed or closing early, and when the session changes
+function getMarketStatus(date = new Date()) {
+    const { dateKey, minutes } = getNewYorkTime(date);
+    const earlyCloseReason = getEarlyCloseReason(dateKey);
+
+    if (isTradingDay(dateKey)) {
+        const sessions = getTradingSessions(dateKey);
+        const current = sessions.find(s => minutes >= s.start && minutes < s.end);
+
+        if (current) {
+            const labels = { PRE: 'Pre-Market', REGULAR: 'Market Open', POST: 'After Hours' };
+            return {
+                session: current.session,
+                label: earlyCloseReason && current.session === 'REGULAR' ? 'Market Open (early close)' : labels[current.session],
+                reason: earlyCloseReason,
+                nextChange: newYorkTimeToDate(dateKey, current.end)
+            };
+        }
+
+        if (minutes < MARKET_SESSIONS.preOpen) {
+            return {
+                session: 'CLOSED',
+                label: 'Market Closed',
+                reason: null,
+                nextChange: newYorkTimeToDate(dateKey, MARKET_SESSIONS.preOpen)
+            };
+        }
+    }
+
+    let nextDay = addDaysToKey(dateKey, 1);
+    while (!isTradingDay(nextDay)) nextDay = addDaysToKey(nextDay, 1);
+
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    return {
+        session: 'CLOSED',
+        label: 'Market Closed',
+        reason: getHolidayName(dateKey) || (weekday === 0 || weekday === 6 ? 'Weekend' : null),
+        nextChange: newYorkTimeToDate(nextDay, MARKET_SESSIONS.preOpen)
+    };
+}
+
+// The trading day whose prices are current at an instant: today in New York
+// once pre-market opens, otherwise the last trading day before it
+function getSessionDateKey(date = new Date()) {
+    const { dateKey, minutes } = getNewYorkTime(date);
+    if (isTradingDay(dateKey) && minutes >= MARKET_SESSIONS.preOpen) return dateKey;
+
+    let sessionDay = addDaysToKey(dateKey, -1);
+    while (!isTradingDay(sessionDay)) sessionDay = addDaysToKey(sessionDay, -1);
+    return sessionDay;
+}
+
+function formatMarketTime(date) {
+    const sameDay = getNewYorkTime(date).dateKey === getNewYorkTime().dateKey;
+    return date.toLocaleString('en-US', {
+        timeZone: MARKET_TIME_ZONE,
+        weekday: sameDay ? undefined : 'short',
+        hour: 'numeric',
+        minute: '2-digit'
+    }) + ' ET';
+}
+
+// ============================================================================
+// PRICE PROVIDERS
+// ============================================================================
+
+// Each provider takes a list of symbols and resolves to
+// { SYMBOL: { price, timestamp } } for the symbols it could price. Providers
+// run in priceSettings.order and each one only gets the symbols the
+// providers before it missed.
+const PRICE_PROVIDERS = {
+    proxy: { label: 'Yahoo Finance proxy', fetchQuotes: fetchProxyQuotes },
+    json: { label: 'Custom JSON endpoint', fetchQuotes: fetchJsonQuotes },
+    manual: { label: 'Manual entry', fetchQuotes: getManualQuotes },
+    mock: { label: 'Mock prices (testing)', fetchQuotes: getMockQuotes }
+};
+
+// Enabled providers in the order they should be tried. ?mockPrices=1 in the
+// page URL puts the mock provider first without changing saved settings.
+function getProviderOrder() {
+    const order = priceSettings.order.filter(id => PRICE_PROVIDERS[id] && priceSettings.enabled[id]);
+    const params = new URLSearchParams(window.location ? window.location.search : '');
+
+    if (params.get('mockPrices') === '1') {
+        return ['mock', ...order.filter(id => id !== 'mock')];
+    }
+    return order;
+}
+
+async function fetchQuotesFromProviders(symbols) {
+    const quotes = {};
+    let remaining = [...symbols];
+
+    for (const id of getProviderOrder()) {
+        if (remaining.length === 0) break;
+
+        try {
+            const result = await PRICE_PROVIDERS[id].fetchQuotes(remaining);
+
+            remaining.forEach(symbol => {
+                const quote = result[symbol];
+                if (quote && quote.price > 0) {
+                    quotes[symbol] = { price: quote.price, timestamp: quote.timestamp || Date.now(), provider: id };
+                }
+            });
+            remaining = remaining.filter(symbol => !quotes[symbol]);
+        } catch (error) {
+            console.warn(`⚠️ ${PRICE_PROVIDERS[id].label} failed:`, error.message);
+        }
+    }
+
+    return quotes;
+}
+
+async function fetchJsonWithTimeout(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CONFIG.PRICE_UPDATE.requestTimeout);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return await response.json();
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Cloudflare worker in front of Yahoo Finance's quote endpoint
+async function fetchProxyQuotes(symbols) {
+    const data = await fetchJsonWithTimeout(`${priceSettings.proxyUrl}?symbols=${symbols.join(',')}`);
+    const quotes = {};
+
+    if (data.quoteResponse && data.quoteResponse.result) {
+        data.quoteResponse.result.forEach(quote => {
+            quotes[quote.symbol] = {
+                price: quote.regularMarketPrice || 0,
+                timestamp: quote.regularMarketTime ? quote.regularMarketTime * 1000 : Date.now()
+            };
+        });
+    }
+
+    return quotes;
+}
+
+// Any endpoint returning { SYMBOL: price }, { SYMBOL: { price } } or
+// [{ symbol, price }]. {symbols} in the URL is replaced with the list.
+async function fetchJsonQuotes(symbols) {
+    if (!priceSettings.jsonUrl) throw new Error('No JSON endpoint configured');
+
+    const url = priceSettings.jsonUrl.includes('{symbols}')
+        ? priceSettings.jsonUrl.replace('{symbols}', encodeURIComponent(symbols.join(',')))
+        : priceSettings.jsonUrl;
+    const data = await fetchJsonWithTimeout(url);
+
+    const entries = Array.isArray(data)
+        ? data.map(item => [item.symbol, item])
+        : Object.entries(data.prices || data.quotes || data);
+
+    const quotes = {};
+    entries.forEach(([symbol, value]) => {
+        if (!symbol) return;
+        const price = typeof value === 'object' && value !== null ? parseFloat(value.price) : parseFloat(value);
+        const time = value && (value.timestamp || value.time);
+        quotes[String(symbol).toUpperCase()] = {
+            price,
+            timestamp: time ? new Date(typeof time === 'number' && time < 1e12 ? time * 1000 : time).getTime() : Date.now()
+        };
+    });
+
+    return quotes;
+}
+
+async function getManualQuotes(symbols) {
+    const quotes = {};
+    symbols.forEach(symbol => {
+        if (manualPrices[symbol]) quotes[symbol] = { ...manualPrices[symbol] };
+    });
+    return quotes;
+}
+
+// Small random walk around the last known price, for testing without a network
+async function getMockQuotes(symbols) {
+    const quotes = {};
+    symbols.forEach(symbol => {
+        const position = portfolio.find(p => p.etf === symbol);
+        const base = currentPrices[symbol] || (position && position.avgEntry) || (isFxSymbol(symbol) ? 1 : 100);
+        quotes[symbol] = {
+            price: Math.round(base * (1 + (Math.random() - 0.5) * 0.01) * 100) / 100,
+            timestamp: Date.now()
+        };
+    });
+    return quotes;
+}
+
+// Where the current price for an ETF came from and whether it can be trusted:
+// 'live', 'stale', 'manual' or 'placeholder' (built-in fallback, never quoted)
+function getPriceStatus(etf) {
+    const meta = priceMeta[etf];
+    if (!meta || !meta.timestamp) {
+        return { status: 'placeholder', title: 'No quote received yet - built-in placeholder price' };
+    }
+
+    const provider = PRICE_PROVIDERS[meta.provider];
+    const source = `${provider ? provider.label : meta.provider}, ${new Date(meta.timestamp).toLocaleString()}`;
+
+    if (meta.provider === 'manual') {
+        return { status: 'manual', title: `Entered manually (${new Date(meta.timestamp).toLocaleString()})` };
+    }
+
+    const age = Date.now() - meta.timestamp;
+    const threshold = isMarketHours()
+        ? CONFIG.PRICE_UPDATE.staleThreshold
+        : CONFIG.PRICE_UPDATE.closedStaleThreshold;
+
+    return age > threshold
+        ? { status: 'stale', title: `Stale quote from ${source}` }
+        : { status: 'live', title: `Quote from ${source}` };
+}
+
+// Current price cell content with a badge for anything that isn't a fresh quote
+function renderPriceCell(etf, price, currency = 'USD') {
+    const { status, title } = getPriceStatus(etf);
+    const badge = status === 'live' ? '' : `<span class="price-badge ${status}">${status}</span>`;
+    return `<td class="current-price" title="${escapeHtml(title)}">${formatCurrency(price, currency)}${badge}</td>`;
+}
+
+// Price sources modal. Edits a copy of the settings until saved.
+let editingPriceSettings = null;
+
+function openPriceSourcesModal() {
+    editingPriceSettings = JSON.parse(JSON.stringify(priceSettings));
+
+    document.getElementById('priceProxyUrl').value = editingPriceSettings.proxyUrl || '';
+    document.getElementById('priceJsonUrl').value = editingPriceSettings.jsonUrl || '';
+    renderPriceProviderList();
+    renderManualPriceRows();
+
+    document.getElementById('priceSourcesModal').style.display = 'flex';
+}
+
+function closePriceSourcesModal() {
+    document.getElementById('priceSourcesModal').style.display = 'none';
+    editingPriceSettings = null;
+}
+
+function renderPriceProviderList() {
+    const order = editingPriceSettings.order;
+
+    document.getElementById('priceProviderList').innerHTML = order.map((id, index) => `
+        <div class="provider-row">
+            <label>
+                <input type="checkbox" data-provider="${id}" ${editingPriceSettings.enabled[id] ? 'checked' : ''}>
+                ${index + 1}. ${PRICE_PROVIDERS[id].label}
+            </label>
+            <button type="button" class="btn-small" onclick="movePriceProvider('${id}', -1)" ${index === 0 ? 'disabled' : ''}>Up</button>
+            <button type="button" class="btn-small" onclick="movePriceProvider('${id}', 1)" ${index === order.length - 1 ? 'disabled' : ''}>Down</button>
+        </div>
+    `).join('');
+
+    document.querySelectorAll('#priceProviderList input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            editingPriceSettings.enabled[checkbox.dataset.provider] = checkbox.checked;
+        });
+    });
+}
+
+function movePriceProvider(id, direction) {
+    const order = editingPriceSettings.order;
+    const index = order.indexOf(id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= order.length) return;
+
+    [order[index], order[target]] = [order[target], order[index]];
+    renderPriceProviderList();
+}
+
+function renderManualPriceRows() {
+    const symbols = [...new Set([
+        ...portfolio.filter(p => p.shares > 0).map(p => p.etf),
+        ...getFxSymbolsInUse(),
+        ...Object.keys(manualPrices)
+    ])].sort();
+
+    document.getElementById('manualPriceRows').innerHTML = symbols.map(etf => {
+        const entry = manualPrices[etf];
+        return `
+            <div class="manual-price-row">
+                <span class="etf-symbol">${etf}</span>
+                <input type="number" step="0.01" min="0" data-etf="${etf}" placeholder="No manual price" value="${entry ? entry.price : ''}">
+                <span class="text-muted">${entry ? `as of ${new Date(entry.timestamp).toLocaleDateString()}` : ''}</span>
+            </div>
+        `;
+    }).join('') || '<div class="text-muted">No open positions</div>';
+}
+
+async function savePriceSources(event) {
+    event.preventDefault();
+    if (!editingPriceSettings) return;
+
+    editingPriceSettings.proxyUrl = document.getElementById('priceProxyUrl').value.trim() || CONFIG.PRICE_PROVIDERS.proxyUrl;
+    editingPriceSettings.jsonUrl = document.getElementById('priceJsonUrl').value.trim();
+    priceSettings = editingPriceSettings;
+
+    document.querySelectorAll('#manualPriceRows input[data-etf]').forEach(input => {
+        const etf = input.dataset.etf;
+        const price = parseFloat(input.value);
+
+        if (!(price > 0)) {
+            delete manualPrices[etf];
+        } else if (!manualPrices[etf] || manualPrices[etf].price !== price) {
+            manualPrices[etf] = { price, timestamp: Date.now() };
+        }
+    });
+
+    await saveDataToCloud(CONFIG.CLOUD_PRICE_SETTINGS_KEY, priceSettings);
+    await saveDataToCloud(CONFIG.CLOUD_MANUAL_PRICES_KEY, manualPrices);
+
+    closePriceSourcesModal();
+    showNotification('Price sources saved', 'success');
+    await fetchCurrentPrices();
+}
+
+// ============================================================================
+// PRICE HISTORY
+// ============================================================================
+
+// The last quote of the day overwrites earlier ones, so after the close the
+// stored value is that day's closing price. Quotes are keyed by the New York
+// session they belong to: an evening or weekend quote is still the last
+// trading day's close. `date` is the quote time, or a date key for imports.
+function recordDailyClose(symbol, price, date = new Date()) {
+    if (!priceHistory[symbol]) priceHistory[symbol] = {};
+    const dateKey = typeof date === 'string' ? date : getSessionDateKey(date);
+    priceHistory[symbol][dateKey] = price;
+}
+
+// Closes past the retention limit are dropped before saving; older
+// valuations fall back to the ledger's fill prices
+async function savePriceHistory() {
+    const cutoff = toDateKey(Date.now() - CONFIG.PRICE_HISTORY.maxAgeDays * MS_PER_DAY);
+
+    Object.keys(priceHistory).forEach(symbol => {
+        Object.keys(priceHistory[symbol]).forEach(date => {
+            if (date < cutoff) delete priceHistory[symbol][date];
+        });
+        if (Object.keys(priceHistory[symbol]).length === 0) delete priceHistory[symbol];
+    });
+
+    await saveDataToCloud(CONFIG.CLOUD_PRICE_HISTORY_KEY, priceHistory);
+}
+
+// Backfills daily closes from a CSV. Accepts either a multi-symbol file
+// (Date, Symbol, Close) or a single-symbol download such as Yahoo's
+// (Date, Open, High, Low, Close, ...), in which case the symbol is asked for.
+async function importPriceHistoryCSV(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const rows = parseCSV(await file.text());
+        if (rows.length < 2) throw new Error('File has no data rows');
+
+        const header = rows[0].map(h => h.trim().toLowerCase());
+        const dateCol = header.indexOf('date');
+        const symbolCol = header.findIndex(h => ['symbol', 'ticker', 'etf'].includes(h));
+        let closeCol = header.indexOf('close');
+        if (closeCol === -1) closeCol = header.findIndex(h => ['adj close', 'price', 'close price'].includes(h));
+
+        if (dateCol === -1 || closeCol === -1) {
+            throw new Error('CSV needs Date and Close columns');
+        }
+
+        let defaultSymbol = null;
+        if (symbolCol === -1) {
+            const guess = file.name.replace(/\.[^.]+$/, '').toUpperCase();
+            defaultSymbol = (prompt('Which ETF symbol (or FX rate such as EURUSD=X) is this price history for?', guess) || '').trim().toUpperCase();
+            if (!defaultSymbol) return;
+        }
+
+        let imported = 0;
+        rows.slice(1).forEach(row => {
+            const date = parseDateString(row[dateCol]);
+            const close = parseFloat(String(row[closeCol] || '').replace(/[$,]/g, ''));
+            const symbol = symbolCol === -1 ? defaultSymbol : String(row[symbolCol] || '').trim().toUpperCase();
+
+            if (date && symbol && close > 0) {
+                recordDailyClose(symbol, close, date);
+                imported++;
+            }
+        });
+
+        await savePriceHistory();
+        renderDashboard();
+        renderPerformance();
+        renderRisk();
+        showNotification(`Imported ${imported} daily closes`, 'success');
+    } catch (error) {
+        console.error('Price history import error:', error);
+        showNotification(`Price history import failed: ${error.message}`, 'error');
+    } finally {
+        event.target.value = '';
+    }
+}
+
+// Daily series from the first trade to today: value of each ETF, total
+// portfolio value and invested capital. Prices are carried forward over
+// days without an observation.
+function buildValueTimeline(transactionList = transactions) {
+    const tradeList = sortTransactionsChronologically(
+        transactionList.filter(t => !CASH_ACTIONS.includes(t.action))
+    );
+    if (tradeList.length === 0) return { dates: [], etfs: [], values: {}, total: [], invested: [] };
+
+    const etfs = Array.from(new Set([
+        ...tradeList.map(t => t.etf),
+        ...tradeList.filter(t => t.action === 'SYMBOL_CHANGE').map(t => t.newSymbol)
+    ]));
+    const priceSeries = {};
+    etfs.forEach(etf => {
+        priceSeries[etf] = Object.entries(getPriceObservations(etf)).sort((a, b) => a[0].localeCompare(b[0]));
+    });
+
+    // Dollar rates are carried forward the same way, one series per currency
+    const baseCurrency = currencySettings.baseCurrency;
+    const currencies = Array.from(new Set([...tradeList.map(getTransactionCurrency), baseCurrency]))
+        .filter(currency => currency !== 'USD');
+    const fxSeries = {};
+    currencies.forEach(currency => {
+        fxSeries[currency] = Object.entries(getFxObservations(currency)).sort((a, b) => a[0].localeCompare(b[0]));
+    });
+
+    const timeline = { dates: [], etfs, values: {}, total: [], invested: [] };
+    etfs.forEach(etf => {
+        timeline.values[etf] = [];
+    });
+
+    const today = toDateKey(new Date());
+    const pointers = {};
+    const lastPrice = {};
+    const fxPointers = {};
+    const lastRate = {};
+    let holdings = [];
+    let investedInBase = {};
+    let txIndex = 0;
+
+    for (let day = new Date(tradeList[0].date); toDateKey(day) <= today; day = new Date(day.getTime() + MS_PER_DAY)) {
+        const dateKey = toDateKey(day);
+
+        // Rebuild holdings only on days the ledger changes
+        let changed = false;
+        while (txIndex < tradeList.length && tradeList[txIndex].date <= dateKey) {
+            txIndex++;
+            changed = true;
+        }
+        if (changed) {
+            holdings = buildPortfolio(tradeList.slice(0, txIndex), {});
+            investedInBase = {};
+            holdings.forEach(position => {
+                investedInBase[position.etf] = getPositionInBase(position).invested;
+            });
+        }
+
+        currencies.forEach(currency => {
+            const series = fxSeries[currency];
+            let i = fxPointers[currency] || 0;
+            while (i < series.length && series[i][0] <= dateKey) {
+                lastRate[currency] = series[i][1];
+                i++;
+            }
+            fxPointers[currency] = i;
+        });
+        const usdRate = currency => {
+            if (currency === 'USD') return 1;
+            const series = fxSeries[currency];
+            const rate = lastRate[currency] || (series.length > 0 ? series[0][1] : getUsdRate(currency));
+            if (rate) return rate;
+
+            // Passed through unconverted, like convertCurrency(), and flagged the same way
+            if (!missingFxRates.has(currency)) {
+                missingFxRates.add(currency);
+                renderFxWarning();
+            }
+            return 1;
+        };
+        const rateFor = currency => (currency === baseCurrency ? 1 : usdRate(currency) / usdRate(baseCurrency));
+
+        let total = 0;
+        let invested = 0;
+        etfs.forEach(etf => {
+            const series = priceSeries[etf];
+            let i = pointers[etf] || 0;
+            while (i < series.length && series[i][0] <= dateKey) {
+                lastPrice[etf] = series[i][1];
+                i++;
+            }
+            pointers[etf] = i;
+
+            const position = holdings.find(p => p.etf === etf);
+            const shares = position ? position.shares * getShareFactorAfter(etf, dateKey, transactionList) : 0;
+            const value = position && lastPrice[etf] ? shares * lastPrice[etf] * rateFor(position.currency) : 0;
+            timeline.values[etf].push(value);
+            total += value;
+            invested += investedInBase[etf] || 0;
+        });
+
+        timeline.dates.push(dateKey);
+        timeline.total.push(total);
+        timeline.invested.push(invested);
+    }
+
+    return timeline;
+}
+
+function renderPerformance() {
+    const container = document.getElementById('performanceChart');
+    if (!container) return;
+
+    const timeline = buildValueTimeline();
+    if (timeline.dates.length === 0) {
+        container.innerHTML = '<p class="empty-state">No transactions to chart yet</p>';
+        return;
+    }
+
+    const range = document.getElementById('performanceRange').value;
+    let startIndex = 0;
+    if (range !== 'ALL') {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - parseInt(range, 10));
+        const cutoffKey = toDateKey(cutoff);
+        startIndex = Math.max(0, timeline.dates.findIndex(d => d >= cutoffKey));
+    }
+
+    const dates = timeline.dates.slice(startIndex);
+    const toPoints = values => values.slice(startIndex).map((value, i) => ({ date: dates[i], value }));
+
+    const series = [
+        { name: 'Portfolio Value', color: CHART_COLORS[0], width: 3, points: toPoints(timeline.total) },
+        { name: 'Invested Capital', color: CHART_COLORS[1], width: 2, dashed: true, points: toPoints(timeline.invested) },
+        ...timeline.etfs.map((etf, i) => ({
+            name: etf,
+            color: CHART_COLORS[(i + 2) % CHART_COLORS.length],
+            width: 1.5,
+            points: toPoints(timeline.values[etf])
+        }))
+    ];
+
+    const firstDate = dates[0];
+    const markers = transactions
+        .filter(t => (t.action === 'BUY' || t.action === 'SELL') && t.date >= firstDate)
+        .map(t => {
+            const index = dates.indexOf(t.date);
+            return {
+                date: t.date,
+                value: index >= 0 ? timeline.total[startIndex + index] : 0,
+                type: t.action.toLowerCase(),
+                label: `${t.action} ${t.shares} ${t.etf} @ ${formatCurrency(t.price, getTransactionCurrency(t))} (${formatDate(t.date)})`
+            };
+        });
+
+    renderLineChart(container, series, markers);
+}
+
+// ============================================================================
+// RISK ANALYTICS
+// ============================================================================
+
+// Split-adjusted daily closes of a symbol as { 'YYYY-MM-DD': close }, from
+// `fromDate` on. Fill prices and the live quote are left out: they are
+// intraday, not closes. So is the stored quote of a session that hasn't
+// closed yet.
+function getDailyCloses(symbol, fromDate = null) {
+    const closes = {};
+    const session = getMarketStatus().session;
+    const openSession = session === 'PRE' || session === 'REGULAR' ? getSessionDateKey() : null;
+
+    Object.entries(getPriceObservations(symbol, { includeFills: false, includeLive: false })).forEach(([date, close]) => {
+        if ((!fromDate || date >= fromDate) && date !== openSession) closes[date] = close;
+    });
+    return closes;
+}
+
+// Value of today's holdings on each day all of them have a close, in the
+// base currency. This is the portfolio as it stands now, run over the past;
+// deposits and trades don't distort it the way they do the value timeline.
+function getHoldingsLevels(positions, fromDate) {
+    const closesByETF = positions.map(p => getDailyCloses(p.etf, fromDate));
+    const dates = Object.keys(closesByETF[0] || {}).filter(date => closesByETF.every(closes => closes[date] > 0));
+    const levels = {};
+
+    dates.forEach(date => {
+        levels[date] = positions.reduce((sum, p, i) =>
+            sum + convertCurrency(p.shares * closesByETF[i][date], p.currency, date), 0);
+    });
+
+    return levels;
+}
+
+// Period returns of several level series ({ date: level }) measured between
+// the dates they all have, so the returns line up day by day. Gaps longer
+// than CONFIG.RISK.maxGapDays are missing history and start a new run.
+function getAlignedReturns(levelSeries) {
+    const dates = Object.keys(levelSeries[0] || {})
+        .filter(date => levelSeries.every(levels => levels[date] > 0))
+        .sort();
+    const returns = levelSeries.map(() => []);
+
+    for (let i = 1; i < dates.length; i++) {
+        if (daysBetween(dates[i - 1], dates[i]) > CONFIG.RISK.maxGapDays) continue;
+        levelSeries.forEach((levels, k) => {
+            returns[k].push(levels[dates[i]] / levels[dates[i - 1]] - 1);
+        });
+    }
+
+    return returns;
+}
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function covariance(x, y) {
+    const mx = mean(x);
+    const my = mean(y);
+    return x.reduce((sum, v, i) => sum + (v - mx) * (y[i] - my), 0) / (x.length - 1);
+}
+
+// Annualized standard deviation of daily returns, or null without enough data
+function calculateVolatility(returns) {
+    if (returns.length < CONFIG.RISK.minObservations) return null;
+    return Math.sqrt(covariance(returns, returns) * CONFIG.RISK.tradingDaysPerYear);
+}
+
+function calculateCorrelation(x, y) {
+    if (x.length < CONFIG.RISK.minObservations) return null;
+    const denominator = Math.sqrt(covariance(x, x) * covariance(y, y));
+    return denominator > 0 ? covariance(x, y) / denominator : null;
+}
+
+function calculateBeta(returns, benchmarkReturns) {
+    if (returns.length < CONFIG.RISK.minObservations) return null;
+    const benchmarkVariance = covariance(benchmarkReturns, benchmarkReturns);
+    return benchmarkVariance > 0 ? covariance(returns, benchmarkReturns) / benchmarkVariance : null;
+}
+
+// Largest peak-to-trough fall of a level series, as { drawdown, peak, trough }
+// with drawdown a negative fraction, or null with fewer than two levels
+function calculateMaxDrawdown(levels) {
+    const dates = Object.keys(levels).sort();
+    if (dates.length < 2) return null;
+
+    let peak = dates[0];
+    let worst = { drawdown: 0, peak: dates[0], trough: dates[0] };
+
+    dates.forEach(date => {
+        if (levels[date] > levels[peak]) peak = date;
+        const drawdown = levels[date] / levels[peak] - 1;
+        if (drawdown < worst.drawdown) worst = { drawdown, peak, trough: date };
+    });
+
+    return worst;
+}
+
+// Risk figures for the open positions and for the portfolio as a whole,
+// over the closes since `fromDate` (all history when null)
+function buildRiskReport(fromDate = null, positionList = portfolio) {
+    const holdings = positionList.filter(p => p.shares > 0);
+    const benchmark = riskSettings.benchmark;
+    const benchmarkCloses = benchmark ? getDailyCloses(benchmark, fromDate) : {};
+    const totalValue = holdings.reduce((sum, p) => sum + getPositionInBase(p).value, 0);
+
+    const describe = (name, levels, weight) => {
+        const [returns] = getAlignedReturns([levels]);
+        const [ownReturns, benchmarkReturns] = getAlignedReturns([levels, benchmarkCloses]);
+        return {
+            name,
+            weight,
+            observations: returns.length,
+            volatility: calculateVolatility(returns),
+            drawdown: calculateMaxDrawdown(levels),
+            beta: calculateBeta(ownReturns, benchmarkReturns)
+        };
+    };
+
+    const closesByETF = {};
+    holdings.forEach(p => {
+        closesByETF[p.etf] = getDailyCloses(p.etf, fromDate);
+    });
+
+    const rows = holdings.map(p => describe(
+        p.etf,
+        closesByETF[p.etf],
+        totalValue > 0 ? getPositionInBase(p).value / totalValue : 0
+    ));
+    const total = describe('Portfolio', holdings.length > 0 ? getHoldingsLevels(holdings, fromDate) : {}, 1);
+
+    const correlations = {};
+    const pairs = [];
+    holdings.forEach((a, i) => {
+        correlations[a.etf] = { [a.etf]: 1 };
+        holdings.slice(0, i).forEach(b => {
+            const [x, y] = getAlignedReturns([closesByETF[a.etf], closesByETF[b.etf]]);
+            const correlation = calculateCorrelation(x, y);
+            correlations[a.etf][b.etf] = correlation;
+            correlations[b.etf][a.etf] = correlation;
+            if (correlation !== null) pairs.push({ a: b.etf, b: a.etf, correlation });
+        });
+    });
+
+    return {
+        benchmark,
+        rows,
+        total,
+        etfs: holdings.map(p => p.etf),
+        correlations,
+        highPairs: pairs
+            .filter(pair => pair.correlation >= CONFIG.RISK.highCorrelation)
+            .sort((x, y) => y.correlation - x.correlation)
+    };
+}
+
+function renderRisk() {
+    const tbody = document.getElementById('riskBody');
+    if (!tbody) return;
+
+    const range = document.getElementById('riskRange').value;
+    let fromDate = null;
+    if (range !== 'ALL') {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - parseInt(range, 10));
+        fromDate = toDateKey(cutoff);
+    }
+
+    const report = buildRiskReport(fromDate);
+    const notEnough = `Needs at least ${CONFIG.RISK.minObservations} daily returns`;
+    const percentCell = (value, decimals = 1) => (value === null
+        ? `<td class="text-muted" title="${notEnough}">-</td>`
+        : `<td>${(value * 100).toFixed(decimals)}%</td>`);
+
+    const renderRow = (row, isTotal) => `
+        <tr class="${isTotal ? 'total-row' : ''}">
+            <td class="${isTotal ? '' : 'etf-symbol'}">${row.name}</td>
+            <td>${(row.weight * 100).toFixed(1)}%</td>
+            ${percentCell(row.volatility)}
+            ${row.drawdown
+                ? `<td class="${row.drawdown.drawdown < 0 ? 'negative' : ''}" title="${formatDate(row.drawdown.peak)} to ${formatDate(row.drawdown.trough)}">${(row.drawdown.drawdown * 100).toFixed(1)}%</td>`
+                : '<td class="text-muted">-</td>'}
+            ${row.beta === null ? `<td class="text-muted" title="${notEnough} alongside ${report.benchmark}">-</td>` : `<td>${row.beta.toFixed(2)}</td>`}
+            <td>${row.observations}</td>
+        </tr>
+    `;
+
+    document.getElementById('riskBenchmarkLabel').textContent = report.benchmark || 'benchmark';
+    tbody.innerHTML = report.rows.length > 0
+        ? report.rows.map(row => renderRow(row, false)).join('') + renderRow(report.total, true)
+        : '<tr><td colspan="6" class="text-muted">No open positions</td></tr>';
+
+    const matrix = document.getElementById('correlationMatrix');
+    matrix.innerHTML = report.etfs.length > 1 ? `
+        <thead>
+            <tr><th></th>${report.etfs.map(etf => `<th>${etf}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${report.etfs.map(a => `
+                <tr>
+                    <td class="etf-symbol">${a}</td>
+                    ${report.etfs.map(b => {
+                        const correlation = report.correlations[a][b];
+                        if (a === b) return '<td class="text-muted">1.00</td>';
+                        if (correlation === null) return `<td class="text-muted" title="${notEnough} on the same days">-</td>`;
+                        const high = correlation >= CONFIG.RISK.highCorrelation;
+                        return `<td class="${high ? 'correlation-high' : ''}">${correlation.toFixed(2)}</td>`;
+                    }).join('')}
+                </tr>
+            `).join('')}
+        </tbody>
+    ` : '<tbody><tr><td class="text-muted">Correlations need at least two open positions</td></tr></tbody>';
+
+    document.getElementById('correlationPairs').innerHTML = report.highPairs.length > 0
+        ? `<div class="section-warning">
+            Highly correlated (${CONFIG.RISK.highCorrelation.toFixed(2)} or more), so adding little diversification to each other:
+            ${report.highPairs.map(pair => `<strong>${pair.a} / ${pair.b}</strong> ${pair.correlation.toFixed(2)}`).join(', ')}
+        </div>`
+        : '';
+}
+
+async function setRiskBenchmark(event) {
+    const benchmark = event.target.value.trim().toUpperCase();
+    if (benchmark && !/^[A-Z0-9.\-]{1,10}$/.test(benchmark)) {
+        showNotification('Enter a valid ticker symbol as the benchmark', 'error');
+        event.target.value = riskSettings.benchmark;
+        return;
+    }
+
+    riskSettings = { ...riskSettings, benchmark };
+    event.target.value = benchmark;
+    await saveDataToCloud(CONFIG.CLOUD_RISK_SETTINGS_KEY, riskSettings);
+    renderRisk();
+
+    // Start collecting the new benchmark's closes
+    if (benchmark && !currentPrices[benchmark]) await fetchCurrentPrices();
+}
+
+// ============================================================================
+// SCENARIOS
+// ============================================================================
+
+// Rough peak-to-trough moves of past market shocks, in percent. Asset
+// classes and sectors refer to the ETF metadata; a sector's move beats its
+// asset class's, and ETF-level shocks beat both.
+const SCENARIO_PRESETS = {
+    METALS_DOWN_TECH_UP: {
+        name: 'Precious metals -15%, tech +10%',
+        sector: { 'Precious Metals': -15, Technology: 10 }
+    },
+    DOTCOM_2000: {
+        name: 'Dot-com bust (2000-02)',
+        assetClass: { Equity: -45, 'Fixed Income': 10, Commodity: 10 },
+        sector: { Technology: -80, 'High Yield Credit': -10, 'Precious Metals': 12 }
+    },
+    GFC_2008: {
+        name: 'Financial crisis (2008-09)',
+        assetClass: { Equity: -50, 'Fixed Income': 5, Commodity: -30 },
+        sector: { Technology: -55, 'High Yield Credit': -30, 'Precious Metals': 0 }
+    },
+    COVID_2020: {
+        name: 'COVID crash (Feb-Mar 2020)',
+        assetClass: { Equity: -34, 'Fixed Income': 0, Commodity: -20 },
+        sector: { Technology: -30, 'High Yield Credit': -20, 'Precious Metals': -12 }
+    },
+    RATES_2022: {
+        name: 'Rate shock (2022)',
+        assetClass: { Equity: -25, 'Fixed Income': -15, Commodity: 5 },
+        sector: { Technology: -45, 'High Yield Credit': -15, 'Precious Metals': -5 }
+    }
+};
+
+// Price change of an ETF in the scenario, as a fraction
+function getScenarioShock(etf, shocks = scenarioShocks) {
+    if (Number.isFinite(shocks.etf[etf])) return shocks.etf[etf] / 100;
+
+    const meta = getEtfMetadata(etf);
+    const assetClass = meta && meta.assetClass;
+    if (assetClass && Number.isFinite(shocks.assetClass[assetClass])) return shocks.assetClass[assetClass] / 100;
+
+    return 0;
+}
+
+// Runs `calculate` with `prices` in place of the current quotes. Nothing is
+// rendered or saved in between, so the real data is never touched.
+function withHypotheticalPrices(prices, calculate) {
+    const actualPrices = currentPrices;
+    currentPrices = prices;
+    try {
+        return calculate();
+    } finally {
+        currentPrices = actualPrices;
+    }
+}
+
+// The portfolio now and with every open position's price shocked, with each
+// position's open tranches measured against its scenario price
+function buildScenarioReport(shocks = scenarioShocks, positionList = portfolio) {
+    const holdings = positionList.filter(p => p.shares > 0);
+    const prices = { ...currentPrices };
+
+    holdings.forEach(p => {
+        prices[p.etf] = (currentPrices[p.etf] || p.avgEntry || 0) * (1 + getScenarioShock(p.etf, shocks));
+    });
+
+    const positions = holdings.map(p => {
+        const now = getPositionInBase(p);
+        const scenario = withHypotheticalPrices(prices, () => getPositionInBase(p));
+        return {
+            etf: p.etf,
+            currency: p.currency,
+            shock: getScenarioShock(p.etf, shocks),
+            price: currentPrices[p.etf] || p.avgEntry || 0,
+            scenarioPrice: prices[p.etf],
+            value: now.value,
+            scenarioValue: scenario.value,
+            change: scenario.value - now.value,
+            scenarioUnrealized: scenario.unrealized,
+            tranches: withHypotheticalPrices(prices, () => getTrancheStatus(p.etf)).filter(tranche => !tranche.filled)
+        };
+    });
+
+    return {
+        now: calculateMetrics(positionList),
+        scenario: withHypotheticalPrices(prices, () => calculateMetrics(positionList)),
+        positions
+    };
+}
+
+function setScenarioShock(field, key, value) {
+    const percent = parseFloat(value);
+    if (Number.isFinite(percent) && percent > -100) {
+        scenarioShocks[field][key] = percent;
+    } else {
+        delete scenarioShocks[field][key];
+    }
+
+    document.getElementById('scenarioPreset').value = '';
+    renderScenarios();
+}
+
+function applyScenarioPreset(key) {
+    const preset = SCENARIO_PRESETS[key];
+    if (!preset) return;
+
+    // Sector moves become ETF-level shocks, since only asset classes have
+    // their own inputs
+    const etfShocks = {};
+    portfolio.filter(p => p.shares > 0).forEach(p => {
+        const meta = getEtfMetadata(p.etf);
+        const sectorShock = meta && preset.sector && preset.sector[meta.sector];
+        if (Number.isFinite(sectorShock)) etfShocks[p.etf] = sectorShock;
+    });
+
+    scenarioShocks = { assetClass: { ...(preset.assetClass || {}) }, etf: etfShocks };
+    renderScenarios();
+}
+
+function resetScenario() {
+    scenarioShocks = { assetClass: {}, etf: {} };
+    document.getElementById('scenarioPreset').value = '';
+    renderScenarios();
+}
+
+function renderScenarios() {
+    const inputs = document.getElementById('scenarioInputs');
+    if (!inputs) return;
+
+    const holdings = portfolio.filter(p => p.shares > 0);
+    const assetClasses = [...new Set(holdings.map(p => (getEtfMetadata(p.etf) || {}).assetClass).filter(Boolean))].sort();
+    const shockInput = (field, key, placeholder) => `
+        <input type="number" class="scenario-shock-input" step="0.1" placeholder="${placeholder}"
+            value="${Number.isFinite(scenarioShocks[field][key]) ? scenarioShocks[field][key] : ''}"
+            data-field="${field}" data-key="${escapeHtml(key)}" onchange="setScenarioShock(this.dataset.field, this.dataset.key, this.value)">
+    `;
+
+    inputs.innerHTML = `
+        <div class="allocation-group">
+            <h3 class="modal-subtitle">By Asset Class (%)</h3>
+            ${assetClasses.map(assetClass => `
+                <div class="scenario-input-row">
+                    <span>${escapeHtml(assetClass)}</span>
+                    ${shockInput('assetClass', assetClass, '0')}
+                </div>
+            `).join('') || '<div class="text-muted">Classify ETFs under ETF Info on the dashboard to shock whole asset classes</div>'}
+        </div>
+        <div class="allocation-group">
+            <h3 class="modal-subtitle">By ETF (%)</h3>
+            ${holdings.map(p => {
+                const inherited = Number.isFinite(scenarioShocks.etf[p.etf]) ? 0 : getScenarioShock(p.etf) * 100;
+                return `
+                    <div class="scenario-input-row">
+                        <span class="etf-symbol">${p.etf}</span>
+                        ${shockInput('etf', p.etf, inherited.toFixed(1))}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    const report = buildScenarioReport();
+    const change = report.scenario.totalValue - report.now.totalValue;
+    const changePercent = report.now.totalValue > 0 ? (change / report.now.totalValue) * 100 : 0;
+
+    document.getElementById('scenarioSummary').innerHTML = `
+        <div><span class="text-muted">Value now</span> <strong>${formatCurrency(report.now.totalValue)}</strong></div>
+        <div><span class="text-muted">Scenario value</span> <strong>${formatCurrency(report.scenario.totalValue)}</strong></div>
+        <div><span class="text-muted">Change</span> <strong class="${change >= 0 ? 'positive' : 'negative'}">${formatCurrency(change)} (${changePercent.toFixed(2)}%)</strong></div>
+        <div><span class="text-muted">Unrealized in scenario</span> <strong class="${report.scenario.totalGainLoss >= 0 ? 'positive' : 'negative'}">${formatCurrency(report.scenario.totalGainLoss)}</strong></div>
+    `;
+
+    document.getElementById('scenarioBody').innerHTML = report.positions.map(row => `
+        <tr>
+            <td class="etf-symbol">${row.etf}</td>
+            <td class="${row.shock >= 0 ? 'positive' : 'negative'}">${row.shock >= 0 ? '+' : ''}${(row.shock * 100).toFixed(1)}%</td>
+            <td>${formatCurrency(row.price, row.currency)} &rarr; ${formatCurrency(row.scenarioPrice, row.currency)}</td>
+            <td>${formatCurrency(row.value)} &rarr; ${formatCurrency(row.scenarioValue)}</td>
+            <td class="${row.change >= 0 ? 'positive' : 'negative'}">${formatCurrency(row.change)}</td>
+            <td class="${row.scenarioUnrealized >= 0 ? 'positive' : 'negative'}">${formatCurrency(row.scenarioUnrealized)}</td>
+            <td>
+                <div class="tranche-list">
+                    ${row.tranches.map(tranche => renderScenarioTranche(tranche, row.currency)).join('') || '<span class="text-muted">-</span>'}
+                </div>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="7" class="text-muted">No open positions</td></tr>';
+}
+
+// An open tranche triggers once the price is at or below its target
+function renderScenarioTranche(tranche, currency) {
+    const triggered = tranche.distance !== null && tranche.distance >= 0;
+    const status = tranche.distance === null
+        ? 'No price'
+        : triggered ? 'Triggered' : `${Math.abs(tranche.distance).toFixed(2)}% above target`;
+
+    return `
+        <div class="tranche ${triggered ? 'triggered' : ''}">
+            <span class="tranche-label">${escapeHtml(tranche.label || 'Tranche')}</span>
+            <span>${tranche.shares} @ ${formatCurrency(tranche.price, currency)}</span>
+            <span class="tranche-status">${status}</span>
+        </div>
+    `;
+}
+
+// Covariance matrix of the holdings' daily returns over the lookback.
+// Holdings without enough closes don't move; the others are correlated
+// through the days they all have closes, or treated as independent when
+// those are too few.
+function getHoldingsCovariance(holdings) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - CONFIG.SCENARIOS.volatilityLookbackDays);
+    const closes = holdings.map(p => getDailyCloses(p.etf, toDateKey(cutoff)));
+
+    const variances = closes.map(series => {
+        const [returns] = getAlignedReturns([series]);
+        return returns.length >= CONFIG.RISK.minObservations ? covariance(returns, returns) : null;
+    });
+    const matrix = variances.map((variance, i) => variances.map((_, j) => (i === j ? variance || 0 : 0)));
+
+    const withHistory = holdings.map((_, i) => i).filter(i => variances[i] !== null);
+    const aligned = getAlignedReturns(withHistory.map(i => closes[i]));
+    const correlated = withHistory.length > 1 && aligned[0].length >= CONFIG.RISK.minObservations;
+    if (correlated) {
+        withHistory.forEach((i, a) => {
+            withHistory.forEach((j, b) => {
+                matrix[i][j] = covariance(aligned[a], aligned[b]);
+            });
+        });
+    }
+
+    return {
+        matrix,
+        correlated,
+        missing: holdings.filter((_, i) => variances[i] === null).map(p => p.etf)
+    };
+}
+
+// Lower-triangular L with L * L^T = matrix. Zero-variance rows stay zero.
+function choleskyDecomposition(matrix) {
+    const n = matrix.length;
+    const lower = matrix.map(() => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+
+            if (i === j) {
+                lower[i][i] = sum > 0 ? Math.sqrt(sum) : 0;
+            } else {
+                lower[i][j] = lower[j][j] > 0 ? sum / lower[j][j] : 0;
+            }
+        }
+    }
+
+    return lower;
+}
+
+// Standard normal draw (Box-Muller)
+function randomNormal() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function percentile(sortedValues, fraction) {
+    return sortedValues[Math.floor(fraction * (sortedValues.length - 1))];
+}
+
+// Simulates the portfolio's value with each holding following a random walk
+// with its historical volatility (correlated where the history allows) and
+// the same expected annual return. Cash stays as it is.
+function projectPortfolioValue({ years, expectedReturn, runs }, positionList = portfolio) {
+    const holdings = positionList.filter(p => p.shares > 0);
+    const metrics = calculateMetrics(positionList);
+    const cash = metrics.totalValue - metrics.holdingsValue;
+    const startValues = holdings.map(p => getPositionInBase(p).value);
+
+    const steps = Math.max(1, Math.round(years * CONFIG.SCENARIOS.stepsPerYear));
+    const daysPerStep = CONFIG.RISK.tradingDaysPerYear / CONFIG.SCENARIOS.stepsPerYear;
+    const holdingsCovariance = getHoldingsCovariance(holdings);
+    const stepCovariance = holdingsCovariance.matrix.map(row => row.map(value => value * daysPerStep));
+    const lower = choleskyDecomposition(stepCovariance);
+    const drift = stepCovariance.map((row, i) => Math.log(1 + expectedReturn) / CONFIG.SCENARIOS.stepsPerYear - row[i] / 2);
+
+    const totals = Array.from({ length: steps + 1 }, () => []);
+    for (let run = 0; run < runs; run++) {
+        const values = [...startValues];
+        totals[0].push(cash + values.reduce((sum, v) => sum + v, 0));
+
+        for (let step = 1; step <= steps; step++) {
+            const shocks = holdings.map(randomNormal);
+            values.forEach((value, i) => {
+                const move = lower[i].reduce((sum, weight, k) => sum + weight * shocks[k], 0);
+                values[i] = value * Math.exp(drift[i] + move);
+            });
+            totals[step].push(cash + values.reduce((sum, v) => sum + v, 0));
+        }
+    }
+
+    const today = new Date();
+    const dates = totals.map((_, step) => {
+        const date = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        date.setMonth(date.getMonth() + Math.round((step * 12) / CONFIG.SCENARIOS.stepsPerYear));
+        return toDateKey(date);
+    });
+
+    const bands = { p5: [], p50: [], p95: [] };
+    totals.forEach(values => {
+        values.sort((a, b) => a - b);
+        bands.p5.push(percentile(values, 0.05));
+        bands.p50.push(percentile(values, 0.5));
+        bands.p95.push(percentile(values, 0.95));
+    });
+
+    const final = totals[steps];
+    return {
+        startValue: metrics.totalValue,
+        dates,
+        bands,
+        final: {
+            p5: percentile(final, 0.05),
+            p25: percentile(final, 0.25),
+            p50: percentile(final, 0.5),
+            p75: percentile(final, 0.75),
+            p95: percentile(final, 0.95)
+        },
+        lossProbability: final.filter(value => value < metrics.totalValue).length / final.length,
+        correlated: holdingsCovariance.correlated,
+        missing: holdingsCovariance.missing
+    };
+}
+
+function runMonteCarloProjection(event) {
+    event.preventDefault();
+
+    const years = parseFloat(document.getElementById('monteCarloHorizon').value);
+    const expectedReturn = parseFloat(document.getElementById('monteCarloReturn').value) || 0;
+    const runs = parseInt(document.getElementById('monteCarloRuns').value, 10);
+
+    if (!(years > 0 && years <= 30) || !(runs >= 100 && runs <= 10000) || expectedReturn <= -100) {
+        showNotification('Use a horizon of up to 30 years and 100 to 10,000 runs', 'error');
+        return;
+    }
+    if (!portfolio.some(p => p.shares > 0)) {
+        showNotification('No open positions to project', 'error');
+        return;
+    }
+
+    const projection = projectPortfolioValue({ years, expectedReturn: expectedReturn / 100, runs });
+    const notes = [
+        projection.correlated ? '' : 'Not enough shared daily closes for correlations, so holdings with history move independently.',
+        projection.missing.length > 0 ? `No volatility history for ${projection.missing.join(', ')}; held flat.` : ''
+    ].filter(Boolean).join(' ');
+
+    document.getElementById('monteCarloSummary').innerHTML = `
+        <div><span class="text-muted">Median</span> <strong>${formatCurrency(projection.final.p50)}</strong></div>
+        <div><span class="text-muted">Middle half</span> <strong>${formatCurrency(projection.final.p25)} - ${formatCurrency(projection.final.p75)}</strong></div>
+        <div><span class="text-muted">5th-95th percentile</span> <strong>${formatCurrency(projection.final.p5)} - ${formatCurrency(projection.final.p95)}</strong></div>
+        <div><span class="text-muted">Chance of ending below today</span> <strong>${(projection.lossProbability * 100).toFixed(1)}%</strong></div>
+        ${notes ? `<div class="text-muted">${notes}</div>` : ''}
+    `;
+
+    const toPoints = values => values.map((value, i) => ({ date: projection.dates[i], value }));
+    renderLineChart(document.getElementById('monteCarloChart'), [
+        { name: '95th percentile', color: CHART_COLORS[4], width: 1.5, dashed: true, points: toPoints(projection.bands.p95) },
+        { name: 'Median', color: CHART_COLORS[0], width: 3, points: toPoints(projection.bands.p50) },
+        { name: '5th percentile', color: CHART_COLORS[6], width: 1.5, dashed: true, points: toPoints(projection.bands.p5) },
+        { name: 'Today', color: CHART_COLORS[1], width: 1, points: toPoints(projection.dates.map(() => projection.startValue)) }
+    ]);
+}
+
+// ============================================================================
+// ALERTS
+// ============================================================================
+
+// Rule types. `needsValue` rules compare against the rule's value; the
+// tranche rule watches the ETF's open reserve tranches instead.
+const ALERT_TYPES = {
+    PRICE_ABOVE: { label: 'Price above', unit: '$', needsValue: true },
+    PRICE_BELOW: { label: 'Price below', unit: '$', needsValue: true },
+    PCT_MOVE: { label: 'Move since last close', unit: '%', needsValue: true },
+    DRAWDOWN: { label: 'Drawdown from position high', unit: '%', needsValue: true },
+    WEIGHT_CAP: { label: 'Portfolio weight above', unit: '%', needsValue: true },
+    TRANCHE_HIT: { label: 'Price reaches a reserved tranche', unit: '', needsValue: false }
+};
+
+// Checks one rule against current prices. Returns { triggered, message }.
+function evaluateAlertRule(rule) {
+    const { etf, type, value } = rule;
+    const price = currentPrices[etf];
+    if (!price) return { triggered: false };
+
+    // Price levels are in the ETF's own currency
+    const money = amount => formatCurrency(amount, getEtfCurrency(etf));
+
+    switch (type) {
+        case 'PRICE_ABOVE':
+            return { triggered: price >= value, message: `${etf} at ${money(price)} is above ${money(value)}` };
+
+        case 'PRICE_BELOW':
+            return { triggered: price <= value, message: `${etf} at ${money(price)} is below ${money(value)}` };
+
+        case 'PCT_MOVE': {
+            const previousClose = getPreviousClose(etf);
+            if (!previousClose) return { triggered: false };
+
+            const move = ((price - previousClose) / previousClose) * 100;
+            return {
+                triggered: Math.abs(move) >= value,
+                message: `${etf} moved ${move >= 0 ? '+' : ''}${move.toFixed(2)}% since the last close (${money(previousClose)})`
+            };
+        }
+
+        case 'DRAWDOWN': {
+            const high = getPositionHigh(etf);
+            if (!high) return { triggered: false };
+
+            const drawdown = ((high - price) / high) * 100;
+            return {
+                triggered: drawdown >= value,
+                message: `${etf} is ${drawdown.toFixed(2)}% below its high of ${money(high)} while held`
+            };
+        }
+
+        case 'WEIGHT_CAP': {
+            const position = portfolio.find(p => p.etf === etf);
+            const holdingsValue = calculateMetrics().holdingsValue;
+            if (!position || holdingsValue <= 0) return { triggered: false };
+
+            const weight = (getPositionValue(position) / holdingsValue) * 100;
+            return {
+                triggered: weight > value,
+                message: `${etf} is ${weight.toFixed(1)}% of the portfolio, above the ${value}% cap`
+            };
+        }
+
+        case 'TRANCHE_HIT': {
+            const reached = getOpenTranches(etf).filter(tranche => price <= tranche.price);
+            return {
+                triggered: reached.length > 0,
+                message: `${etf} at ${money(price)} reached ${reached.map(t => `${t.label || 'tranche'} (${money(t.price)})`).join(', ')}`
+            };
+        }
+
+        default:
+            return { triggered: false };
+    }
+}
+
+// Latest daily close before today
+function getPreviousClose(etf) {
+    const today = toDateKey(new Date());
+    const closes = priceHistory[etf] || {};
+    const previous = Object.keys(closes).filter(date => date < today).sort().pop();
+    return previous ? closes[previous] / getShareFactorAfter(etf, previous) : null;
+}
+
+// Highest known price since the oldest open lot was bought
+function getPositionHigh(etf) {
+    const lots = getOpenLots(etf);
+    if (lots.length === 0) return null;
+
+    const since = lots.reduce((earliest, lot) => (lot.date < earliest ? lot.date : earliest), lots[0].date);
+    const observations = getPriceObservations(etf);
+    const prices = Object.keys(observations).filter(date => date >= since).map(date => observations[date]);
+
+    return prices.length > 0 ? Math.max(...prices) : null;
+}
+
+// Runs every enabled rule after a price update. A rule fires when its
+// condition becomes true and re-arms once the condition clears, so a level
+// that stays crossed doesn't alert on every refresh.
+async function evaluateAlerts() {
+    let changed = false;
+
+    alertState.rules.filter(rule => rule.enabled).forEach(rule => {
+        const { triggered, message } = evaluateAlertRule(rule);
+
+        if (triggered && !rule.active) {
+            fireAlert(rule, message);
+            rule.lastTriggered = Date.now();
+        }
+        if (Boolean(triggered) !== Boolean(rule.active)) {
+            rule.active = Boolean(triggered);
+            changed = true;
+        }
+    });
+
+    if (changed) {
+        await saveAlerts();
+        renderAlerts();
+    }
+}
+
+function fireAlert(rule, message) {
+    alertState.history.unshift({
+        id: generateId('alert'),
+        ruleId: rule.id,
+        etf: rule.etf,
+        type: rule.type,
+        message,
+        price: currentPrices[rule.etf],
+        timestamp: Date.now(),
+        acknowledged: false
+    });
+    alertState.history = alertState.history.slice(0, CONFIG.ALERTS.historyLimit);
+
+    console.log(`🔔 ${message}`);
+    showNotification(message, 'info');
+
+    // Some browsers (Chrome on Android) expose Notification but throw when it
+    // is constructed; the in-page notification above already went out
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+        try {
+            new Notification('ETF Portfolio Alert', { body: message, tag: rule.id });
+        } catch (error) {
+            console.warn('⚠️ System notification unavailable:', error.message);
+        }
+    }
+}
+
+async function saveAlerts() {
+    await saveDataToCloud(getPortfolioKey(CONFIG.CLOUD_ALERTS_KEY), alertState);
+}
+
+async function addAlertRule(event) {
+    event.preventDefault();
+
+    const etf = document.getElementById('alertETF').value.trim().toUpperCase();
+    const type = document.getElementById('alertType').value;
+    const value = parseFloat(document.getElementById('alertValue').value);
+
+    if (!etf) {
+        showNotification('Enter an ETF symbol', 'error');
+        return;
+    }
+    if (ALERT_TYPES[type].needsValue && !(value > 0)) {
+        showNotification(`Enter a ${ALERT_TYPES[type].unit === '%' ? 'percentage' : 'price'} greater than zero`, 'error');
+        return;
+    }
+    if (type === 'TRANCHE_HIT' && getTrancheStatus(etf).length === 0) {
+        showNotification(`${etf} has no reserved tranches - plan them in the Strategy tab first`, 'error');
+        return;
+    }
+
+    alertState.rules.push({
+        id: generateId('rule'),
+        etf,
+        type,
+        value: ALERT_TYPES[type].needsValue ? value : null,
+        enabled: true,
+        active: false,
+        createdAt: Date.now(),
+        lastTriggered: null
+    });
+
+    // Permission prompts need a user gesture, so ask when the first rule is added
+    if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+
+    await saveAlerts();
+    document.getElementById('alertForm').reset();
+    updateAlertValueField();
+    renderAlerts();
+    showNotification(`Alert added for ${etf}`, 'success');
+}
+
+async function toggleAlertRule(id) {
+    const rule = alertState.rules.find(r => r.id === id);
+    if (!rule) return;
+
+    rule.enabled = !rule.enabled;
+    rule.active = false;
+    await saveAlerts();
+    renderAlerts();
+}
+
+async function deleteAlertRule(id) {
+    alertState.rules = alertState.rules.filter(r => r.id !== id);
+    await saveAlerts();
+    renderAlerts();
+}
+
+async function acknowledgeAlert(id) {
+    alertState.history.forEach(alert => {
+        if (id === undefined || alert.id === id) alert.acknowledged = true;
+    });
+    await saveAlerts();
+    renderAlerts();
+}
+
+function describeAlertRule(rule) {
+    const type = ALERT_TYPES[rule.type];
+    if (!type.needsValue) return type.label;
+    return type.unit === '$' ? `${type.label} ${formatCurrency(rule.value, getEtfCurrency(rule.etf))}` : `${type.label} ${rule.value}%`;
+}
+
+function updateAlertValueField() {
+    const type = ALERT_TYPES[document.getElementById('alertType').value];
+    const valueInput = document.getElementById('alertValue');
+
+    valueInput.disabled = !type.needsValue;
+    valueInput.placeholder = type.needsValue ? (type.unit === '$' ? 'Price' : 'Percent') : 'Not needed';
+    if (!type.needsValue) valueInput.value = '';
+}
+
+function renderAlerts() {
+    const rulesBody = document.getElementById('alertRulesBody');
+    const historyBody = document.getElementById('alertHistoryBody');
+    if (!rulesBody || !historyBody) return;
+
+    rulesBody.innerHTML = alertState.rules.map(rule => `
+        <tr>
+            <td class="etf-symbol">${escapeHtml(rule.etf)}</td>
+            <td>${describeAlertRule(rule)}</td>
+            <td>
+                <span class="alert-status ${!rule.enabled ? 'paused' : rule.active ? 'triggered' : 'armed'}">
+                    ${!rule.enabled ? 'Paused' : rule.active ? 'Triggered' : 'Armed'}
+                </span>
+            </td>
+            <td>${rule.lastTriggered ? new Date(rule.lastTriggered).toLocaleString() : '-'}</td>
+            <td class="actions">
+                <button class="btn-small" onclick="toggleAlertRule('${rule.id}')">${rule.enabled ? 'Pause' : 'Resume'}</button>
+                <button class="btn-small btn-danger" onclick="deleteAlertRule('${rule.id}')">Delete</button>
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="5" class="text-muted">No alert rules yet</td></tr>';
+
+    historyBody.innerHTML = alertState.history.map(alert => `
+        <tr class="${alert.acknowledged ? 'alert-acknowledged' : ''}">
+            <td>${new Date(alert.timestamp).toLocaleString()}</td>
+            <td class="etf-symbol">${escapeHtml(alert.etf)}</td>
+            <td>${escapeHtml(alert.message)}</td>
+            <td class="actions">
+                ${alert.acknowledged ? '<span class="text-muted">Acknowledged</span>' : `<button class="btn-small" onclick="acknowledgeAlert('${alert.id}')">Acknowledge</button>`}
+            </td>
+        </tr>
+    `).join('') || '<tr><td colspan="4" class="text-muted">No alerts have fired</td></tr>';
+
+    const unacknowledged = alertState.history.filter(alert => !alert.acknowledged).length;
+    const badge = document.getElementById('alertBadge');
+    badge.textContent = unacknowledged;
+    badge.style.display = unacknowledged > 0 ? 'inline-block' : 'none';
+    document.getElementById('acknowledgeAllAlerts').disabled = unacknowledged === 0;
+}
+
+// ============================================================================
+// CHARTS
+// ============================================================================
+
+const CHART_COLORS = ['#00D9FF', '#9CA3AF', '#7B2FFF', '#FF6B35', '#00D084', '#FFA502', '#FF4757', '#F472B6', '#A3E635', '#38BDF8'];
+
+// Minimal SVG line chart. `series` is [{ name, color, width, dashed, points:
+// [{ date, value }] }] with the same dates in every series; `markers` are
+// [{ date, value, type: 'buy' | 'sell', label }]. Axis labels are amounts in
+// `currency`.
+function renderLineChart(container, series, markers = [], currency = currencySettings.baseCurrency) {
+    const width = 1000;
+    const height = 400;
+    const pad = { top: 20, right: 20, bottom: 40, left: 80 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const dates = series[0].points.map(p => p.date);
+    const allValues = series.flatMap(s => s.points.map(p => p.value));
+    const minValue = Math.min(0, ...allValues);
+    const maxValue = Math.max(...allValues) || 1;
+
+    const x = i => pad.left + (dates.length > 1 ? (i / (dates.length - 1)) * plotWidth : plotWidth / 2);
+    const y = value => pad.top + plotHeight - ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+    const yTicks = Array.from({ length: 5 }, (_, i) => minValue + ((maxValue - minValue) * i) / 4);
+    const xTickCount = Math.min(6, dates.length);
+    const xTicks = Array.from({ length: xTickCount }, (_, i) =>
+        Math.round((i * (dates.length - 1)) / Math.max(1, xTickCount - 1))
+    );
+
+    const lines = series.map(s => {
+        const points = s.points.map((p, i) => `${x(i).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+        return `<polyline points="${points}" fill="none" stroke="${s.color}" stroke-width="${s.width || 2}"
+            ${s.dashed ? 'stroke-dasharray="6 4"' : ''}><title>${escapeHtml(s.name)}</title></polyline>`;
+    }).join('');
+
+    const markerShapes = markers.map(m => {
+        const i = dates.indexOf(m.date);
+        if (i === -1) return '';
+        const cx = x(i);
+        const cy = y(m.value);
+        const shape = m.type === 'sell'
+            ? `${cx - 5},${cy - 8} ${cx + 5},${cy - 8} ${cx},${cy}`
+            : `${cx - 5},${cy + 8} ${cx + 5},${cy + 8} ${cx},${cy}`;
+        return `<polygon class="chart-marker ${m.type}" points="${shape}"><title>${escapeHtml(m.label)}</title></polygon>`;
+    }).join('');
+
+    container.innerHTML = `
+        <svg class="chart" viewBox="0 0 ${width} ${height}">
+            ${yTicks.map(v => `
+                <line class="chart-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}"></line>
+                <text class="chart-axis" x="${pad.left - 8}" y="${y(v) + 4}" text-anchor="end">${formatCompactCurrency(v, currency)}</text>
+            `).join('')}
+            ${xTicks.map(i => `
+                <text class="chart-axis" x="${x(i)}" y="${height - pad.bottom + 20}" text-anchor="middle">${formatDate(dates[i])}</text>
+            `).join('')}
+            ${lines}
+            ${markerShapes}
+        </svg>
+        <div class="chart-legend">
+            ${series.map(s => `
+                <span class="chart-legend-item">
+                    <span class="chart-swatch" style="background: ${s.color}"></span>${escapeHtml(s.name)}
+                </span>
+            `).join('')}
+        </div>
+    `;
 }
 
 // ============================================================================
 // UI HELPERS
 // ============================================================================
 
-function openTransactionModal(etf = '', action = 'BUY') {
+// Opens the transaction form. Passing `existing` edits that transaction
+// instead of adding a new one.
+function openTransactionModal(etf = '', action = 'BUY', prefill = {}, existing = null) {
     const modal = document.getElementById('transactionModal');
     const form = document.getElementById('transactionForm');
     const title = document.getElementById('modalTitle');
-    
-    title.textContent = `${action} ${etf || 'ETF'}`;
+
+    editingTransactionId = existing ? existing.id : null;
+    title.textContent = `${existing ? 'Edit ' : ''}${formatAction(action)} ${etf || 'ETF'}`;
+    document.getElementById('transactionSubmit').textContent = existing ? 'Save Changes' : 'Add Transaction';
     form.reset();
-    
+    clearFieldErrors();
+
     document.getElementById('transactionETF').value = etf;
     document.getElementById('transactionAction').value = action;
     document.getElementById('transactionDate').value = new Date().toISOString().split('T')[0];
-    
+    if (prefill.shares) document.getElementById('transactionShares').value = prefill.shares;
+    if (prefill.price) document.getElementById('transactionPrice').value = prefill.price;
+    if (prefill.notes) document.getElementById('transactionNotes').value = prefill.notes;
+    document.getElementById('transactionLotMethod').value = CONFIG.COST_BASIS_METHOD;
+    document.getElementById('transactionCurrency').value = etf ? getEtfCurrency(etf) : currencySettings.baseCurrency;
+
+    if (existing) {
+        const isAmountOnly = AMOUNT_ONLY_ACTIONS.includes(existing.action);
+        document.getElementById('transactionDate').value = existing.date;
+        document.getElementById('transactionNotes').value = existing.notes || '';
+        document.getElementById('transactionShares').value = isAmountOnly ? '' : existing.shares;
+        document.getElementById('transactionPrice').value = isAmountOnly ? '' : existing.price;
+        document.getElementById('transactionAmount').value = isAmountOnly ? existing.total : '';
+        document.getElementById('transactionCommission').value = existing.commission || '';
+        document.getElementById('transactionCurrency').value = getTransactionCurrency(existing);
+        document.getElementById('transactionRatio').value = existing.ratio || '';
+        document.getElementById('transactionNewSymbol').value = existing.newSymbol || '';
+        if (existing.lotMethod) document.getElementById('transactionLotMethod').value = existing.lotMethod;
+    }
+
+    updateTransactionFormFields();
+
+    if (existing) {
+        if (existing.tranche) document.getElementById('transactionTranche').value = existing.tranche;
+        (existing.lotSelections || []).forEach(selection => {
+            const input = document.querySelector(`#lotPicker .lot-input[data-lot="${selection.lot}"]`);
+            if (input) input.value = selection.shares;
+        });
+    }
+
     modal.style.display = 'flex';
 }
 
 function closeTransactionModal() {
     document.getElementById('transactionModal').style.display = 'none';
+    editingTransactionId = null;
+}
+
+// Shows or hides the action-specific parts of the transaction form
+function updateTransactionFormFields() {
+    const action = document.getElementById('transactionAction').value;
+    const isAmountOnly = AMOUNT_ONLY_ACTIONS.includes(action);
+    const isCashEntry = CASH_ACTIONS.includes(action);
+    const isCorporateAction = CORPORATE_ACTIONS.includes(action);
+
+    document.getElementById('etfGroup').style.display = isCashEntry ? 'none' : '';
+    document.getElementById('transactionETF').required = !isCashEntry;
+    document.getElementById('commissionGroup').style.display = action === 'BUY' || action === 'SELL' ? '' : 'none';
+
+    document.getElementById('sharePriceRow').style.display = isAmountOnly || isCorporateAction ? 'none' : '';
+    document.getElementById('amountGroup').style.display = isAmountOnly ? 'block' : 'none';
+    document.getElementById('transactionShares').required = !isAmountOnly && !isCorporateAction;
+    document.getElementById('transactionPrice').required = !isAmountOnly && !isCorporateAction;
+    document.getElementById('transactionAmount').required = isAmountOnly;
+
+    document.getElementById('ratioGroup').style.display = isCorporateAction ? 'block' : 'none';
+    document.getElementById('newSymbolGroup').style.display = action === 'SYMBOL_CHANGE' ? 'block' : 'none';
+    document.getElementById('transactionRatioLabel').textContent = {
+        SPLIT: 'New Shares per Old Share (4 for a 4-for-1 split)',
+        REVERSE_SPLIT: 'Old Shares per New Share (10 for a 1-for-10 reverse split)',
+        SYMBOL_CHANGE: 'New Shares per Old Share (1 for a plain ticker change)'
+    }[action] || 'Ratio';
+
+    updateLotMethodFields();
+    updateTrancheField();
+}
+
+// Offers the ETF's open tranches so a BUY can be booked against its reserve
+function updateTrancheField() {
+    const isBuy = document.getElementById('transactionAction').value === 'BUY';
+    const etf = document.getElementById('transactionETF').value.toUpperCase();
+    const tranches = isBuy ? getOpenTranches(etf, editingTransactionId) : [];
+    const select = document.getElementById('transactionTranche');
+
+    select.innerHTML = '<option value="">None</option>' + tranches
+        .map(tranche => `<option value="${tranche.id}">${escapeHtml(tranche.label || 'Tranche')} - ${tranche.shares} @ ${formatCurrency(tranche.price, getEtfCurrency(etf))}</option>`)
+        .join('');
+
+    document.getElementById('trancheGroup').style.display = tranches.length > 0 ? 'block' : 'none';
+}
+
+// Shows the cost basis selector for SELLs and the lot picker for specific-lot sales
+function updateLotMethodFields() {
+    const isSell = document.getElementById('transactionAction').value === 'SELL';
+    const method = document.getElementById('transactionLotMethod').value;
+
+    document.getElementById('lotMethodGroup').style.display = isSell ? 'block' : 'none';
+
+    const picker = document.getElementById('lotPicker');
+    if (isSell && method === 'SPECIFIC') {
+        renderLotPicker();
+        picker.style.display = 'block';
+    } else {
+        picker.innerHTML = '';
+        picker.style.display = 'none';
+    }
 }
 
-function formatCurrency(amount) {
+function renderLotPicker() {
+    const picker = document.getElementById('lotPicker');
+    const etf = document.getElementById('transactionETF').value.toUpperCase();
+    const date = document.getElementById('transactionDate').value || toDateKey(new Date());
+    const lots = getOpenLots(etf, editingTransactionId, date);
+
+    if (lots.length === 0) {
+        picker.innerHTML = `<p class="lot-picker-empty">No open lots for ${etf || 'this ETF'} on ${formatDate(date)}</p>`;
+        return;
+    }
+
+    picker.innerHTML = `
+        <table class="lot-picker-table">
+            <thead>
+                <tr>
+                    <th>Acquired</th>
+                    <th>Cost/Share</th>
+                    <th>Open</th>
+                    <th>Sell</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${lots.map(lot => `
+                    <tr>
+                        <td>${formatDate(lot.date)}</td>
+                        <td>${formatCurrency(lot.costPerShare, getEtfCurrency(etf))}</td>
+                        <td>${lot.remaining.toFixed(2)}</td>
+                        <td>
+                            <input type="number" class="lot-input" data-lot="${lot.id}"
+                                min="0" max="${lot.remaining}" step="0.01" placeholder="0">
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    picker.querySelectorAll('.lot-input').forEach(input => {
+        input.addEventListener('input', () => {
+            const selected = getLotSelections().reduce((sum, s) => sum + s.shares, 0);
+            document.getElementById('transactionShares').value = selected > 0 ? selected : '';
+        });
+    });
+}
+
+function getLotSelections() {
+    return Array.from(document.querySelectorAll('#lotPicker .lot-input'))
+        .map(input => ({ lot: input.dataset.lot, shares: parseFloat(input.value) || 0 }))
+        .filter(selection => selection.shares > 0);
+}
+
+function generateId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Amounts default to the base currency; pass the ETF's or transaction's
+// currency for prices and ledger amounts
+function formatCurrency(amount, currency = currencySettings.baseCurrency) {
     return new Intl.NumberFormat('en-US', {
         style: 'currency',
-        currency: 'USD',
+        currency,
         minimumFractionDigits: 2,
         maximumFractionDigits: 2
     }).format(amount);
 }
 
+function formatShares(shares) {
+    return new Intl.NumberFormat('en-US', { maximumFractionDigits: 4 }).format(shares);
+}
+
+function formatAction(action) {
+    return action.replace(/_/g, ' ');
+}
+
+function formatCompactCurrency(amount, currency = currencySettings.baseCurrency) {
+    return new Intl.NumberFormat('en-US', {
+        style: 'currency',
+        currency,
+        notation: 'compact',
+        maximumFractionDigits: 1
+    }).format(amount);
+}
+
+// Accepts YYYY-MM-DD, MM/DD/YYYY, M/D/YY and anything Date can parse;
+// returns a YYYY-MM-DD key or null.
+function parseDateString(value) {
+    const text = String(value || '').trim();
+    if (!text) return null;
+
+    let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (match) {
+        return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    // Leading match so broker variants like "01/06/2025 as of 01/03/2025" work
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})\b/);
+    if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+
+    // Free-form dates parse as local midnight; toDateKey() would shift them a
+    // day east of UTC
+    const parsed = new Date(text);
+    if (isNaN(parsed)) return null;
+    return [
+        parsed.getFullYear(),
+        String(parsed.getMonth() + 1).padStart(2, '0'),
+        String(parsed.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+// RFC 4180-style CSV parser: quoted fields, escaped quotes, CRLF line endings
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(cell => cell.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field);
+    if (row.some(cell => cell.trim() !== '')) rows.push(row);
+
+    return rows;
+}
+
 function formatDate(dateString) {
     return new Date(dateString).toLocaleDateString('en-US', {
         year: 'numeric',
@@ -712,8 +6582,11 @@ function showStorageStatus() {
 // ============================================================================
 
 function exportPortfolioData() {
+    const portfolioName = getPortfolioMeta().name;
     const exportData = {
+        portfolio: portfolioName,
         transactions: transactions,
+        strategyJournal,
         exportDate: new Date().toISOString(),
         version: '2.0-cloud'
     };
@@ -724,7 +6597,8 @@ function exportPortfolioData() {
     const url = URL.createObjectURL(dataBlob);
     const link = document.createElement('a');
     link.href = url;
-    link.download = `portfolio-backup-${new Date().toISOString().split('T')[0]}.json`;
+    const slug = portfolioName.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    link.download = `portfolio-backup-${slug}-${new Date().toISOString().split('T')[0]}.json`;
     link.click();
     
     URL.revokeObjectURL(url);
@@ -745,26 +6619,505 @@ async function importPortfolioData(event) {
                 throw new Error('Invalid portfolio data format');
             }
             
-            if (confirm(`Import ${importData.transactions.length} transactions? This will replace your current data.`)) {
-                transactions = importData.transactions;
-                await saveTransactionsToCloud();
-                
-                recalculatePortfolioFromTransactions();
-                renderDashboard();
-                renderTransactions();
-                renderStrategy();
-                
+            // Merge into the ledger, skipping rows that are already recorded
+            const newTransactions = importData.transactions.filter(imported =>
+                !transactions.some(existing =>
+                    (imported.id && existing.id === imported.id) || isSameTransaction(existing, imported)
+                )
+            );
+            migrateTransactionIds(newTransactions);
+            const skipped = importData.transactions.length - newTransactions.length;
+
+            const { valid, invalid } = validateImportedTransactions(newTransactions);
+            const journalETFs = Object.keys(importData.strategyJournal || {}).length;
+            let message = `Import ${valid.length} new transactions (${skipped} already in the ledger)`;
+            message += journalETFs > 0 ? ` and strategy journals for ${journalETFs} ETFs?` : '?';
+            if (invalid.length > 0) {
+                message += `\n\n${invalid.length} invalid rows will be skipped:\n${describeInvalidRows(invalid)}`;
+                console.warn('Invalid rows in import:', invalid);
+            }
+
+            if (valid.length === 0 && journalETFs === 0) {
+                alert(`Nothing to import.${invalid.length > 0 ? `\n\n${describeInvalidRows(invalid)}` : ''}`);
+                return;
+            }
+
+            if (confirm(message)) {
+                if (journalETFs > 0 && mergeStrategyJournal(importData.strategyJournal) > 0) {
+                    await saveStrategyJournal();
+                }
+
+                if (valid.length > 0) {
+                    await takeSnapshot('IMPORT', transactions, portfolioRegistry.active, file.name);
+                    await commitLedgerChange(`Import ${valid.length} transactions`, [...transactions, ...valid]);
+                } else {
+                    recalculatePortfolioFromTransactions();
+                    renderStrategy();
+                }
                 showNotification('Portfolio imported successfully', 'success');
             }
         } catch (error) {
             console.error('Import error:', error);
-            showNotification('Import failed: Invalid file format', 'error');
+            showNotification(`Import failed: ${error.message}`, 'error');
         }
     };
     
     reader.readAsText(file);
 }
 
+// ============================================================================
+// BROKER CSV IMPORT
+// ============================================================================
+
+// Fields a CSV column can be mapped to. `required` fields must be mapped.
+const CSV_IMPORT_FIELDS = {
+    date: { label: 'Date', required: true },
+    etf: { label: 'Symbol', required: true },
+    action: { label: 'Action', required: false },
+    shares: { label: 'Shares', required: false },
+    price: { label: 'Price', required: false },
+    amount: { label: 'Amount', required: false },
+    commission: { label: 'Commission / Fees', required: false },
+    currency: { label: 'Currency', required: false },
+    notes: { label: 'Notes', required: false }
+};
+
+// Broker export layouts. `columns` lists header names to try for each field;
+// `actions` maps text found in the action column to a transaction type
+// (first match wins). 'TRANSFER' becomes DEPOSIT or WITHDRAWAL by the sign
+// of the amount. Without an action column the sign of shares decides.
+const BROKER_CSV_PRESETS = {
+    generic: {
+        name: 'Generic',
+        columns: {
+            date: ['date', 'trade date'],
+            etf: ['symbol', 'ticker', 'etf'],
+            action: ['action', 'type', 'side'],
+            shares: ['shares', 'quantity', 'qty'],
+            price: ['price'],
+            amount: ['amount', 'total'],
+            commission: ['commission', 'fees', 'fee'],
+            currency: ['currency', 'ccy'],
+            notes: ['notes', 'description']
+        },
+        actions: [
+            ['RETURN OF CAPITAL', 'RETURN_OF_CAPITAL'],
+            ['REINVEST', 'DRIP'],
+            ['DRIP', 'DRIP'],
+            ['DIVIDEND', 'DIVIDEND'],
+            ['INTEREST', 'INTEREST'],
+            ['DEPOSIT', 'DEPOSIT'],
+            ['WITHDRAW', 'WITHDRAWAL'],
+            ['FEE', 'FEE'],
+            ['BUY', 'BUY'],
+            ['SELL', 'SELL']
+        ]
+    },
+    schwab: {
+        name: 'Charles Schwab',
+        columns: {
+            date: ['date'],
+            etf: ['symbol'],
+            action: ['action'],
+            shares: ['quantity'],
+            price: ['price'],
+            amount: ['amount'],
+            commission: ['fees & comm'],
+            notes: ['description']
+        },
+        actions: [
+            ['REINVEST SHARES', 'BUY'],
+            ['REINVEST DIVIDEND', 'DIVIDEND'],
+            ['QUALIFIED DIVIDEND', 'DIVIDEND'],
+            ['NON-QUALIFIED DIV', 'DIVIDEND'],
+            ['CASH DIVIDEND', 'DIVIDEND'],
+            ['RETURN OF CAPITAL', 'RETURN_OF_CAPITAL'],
+            ['BANK INTEREST', 'INTEREST'],
+            ['CREDIT INTEREST', 'INTEREST'],
+            ['MONEYLINK', 'TRANSFER'],
+            ['JOURNAL', 'TRANSFER'],
+            ['ADR MGMT FEE', 'FEE'],
+            ['SELL', 'SELL'],
+            ['BUY', 'BUY']
+        ]
+    },
+    fidelity: {
+        name: 'Fidelity',
+        columns: {
+            date: ['run date', 'date'],
+            etf: ['symbol'],
+            action: ['action'],
+            shares: ['quantity'],
+            price: ['price ($)', 'price'],
+            amount: ['amount ($)', 'amount'],
+            commission: ['commission ($)', 'fees ($)'],
+            notes: ['security description', 'description']
+        },
+        actions: [
+            ['REINVESTMENT', 'BUY'],
+            ['DIVIDEND RECEIVED', 'DIVIDEND'],
+            ['RETURN OF CAPITAL', 'RETURN_OF_CAPITAL'],
+            ['INTEREST EARNED', 'INTEREST'],
+            ['ELECTRONIC FUNDS TRANSFER', 'TRANSFER'],
+            ['TRANSFERRED', 'TRANSFER'],
+            ['YOU BOUGHT', 'BUY'],
+            ['YOU SOLD', 'SELL'],
+            ['FEE', 'FEE']
+        ]
+    },
+    vanguard: {
+        name: 'Vanguard',
+        columns: {
+            date: ['trade date', 'settlement date'],
+            etf: ['symbol'],
+            action: ['transaction type'],
+            shares: ['shares'],
+            price: ['share price'],
+            amount: ['net amount', 'principal amount'],
+            commission: ['commissions and fees', 'commission fees'],
+            notes: ['transaction description', 'investment name']
+        },
+        actions: [
+            ['REINVESTMENT', 'BUY'],
+            ['RETURN OF CAPITAL', 'RETURN_OF_CAPITAL'],
+            ['DIVIDEND', 'DIVIDEND'],
+            ['CAPITAL GAIN', 'DIVIDEND'],
+            ['INTEREST', 'INTEREST'],
+            ['FUNDS RECEIVED', 'DEPOSIT'],
+            ['WITHDRAWAL', 'WITHDRAWAL'],
+            ['FEE', 'FEE'],
+            ['BUY', 'BUY'],
+            ['SELL', 'SELL']
+        ]
+    },
+    ibkr: {
+        name: 'Interactive Brokers (Trades)',
+        columns: {
+            date: ['date/time', 'tradedate', 'trade date'],
+            etf: ['symbol'],
+            action: ['buy/sell'],
+            shares: ['quantity'],
+            price: ['t. price', 'tradeprice', 'price'],
+            amount: ['proceeds'],
+            commission: ['comm/fee', 'ibcommission', 'commission'],
+            notes: ['description']
+        },
+        actions: [
+            ['BUY', 'BUY'],
+            ['SELL', 'SELL']
+        ]
+    }
+};
+
+let csvImportState = null;   // { headers, rows, mapping, preset, preview }
+
+function openCsvImportModal() {
+    csvImportState = null;
+    document.getElementById('csvImportFile').value = '';
+    document.getElementById('csvMappingSection').style.display = 'none';
+    document.getElementById('csvPreviewSection').style.display = 'none';
+    document.getElementById('csvImportConfirm').disabled = true;
+    document.getElementById('csvImportModal').style.display = 'flex';
+}
+
+function closeCsvImportModal() {
+    document.getElementById('csvImportModal').style.display = 'none';
+    csvImportState = null;
+}
+
+async function loadCsvImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+        const rows = parseCSV(await file.text());
+        const headerIndex = findCsvHeaderRow(rows);
+        if (headerIndex === -1) throw new Error('Could not find a header row with Date and Symbol columns');
+
+        const headers = rows[headerIndex].map(h => h.trim());
+        const dataRows = rows.slice(headerIndex + 1).filter(row => row.length >= headers.length / 2);
+        const preset = detectCsvPreset(headers);
+
+        csvImportState = { headers, rows: dataRows, preset, mapping: {}, preview: [] };
+        document.getElementById('csvPreset').value = preset;
+        applyCsvPreset(preset);
+    } catch (error) {
+        console.error('CSV import error:', error);
+        showNotification(`CSV import failed: ${error.message}`, 'error');
+    }
+}
+
+// Broker exports often start with account details before the real header
+function findCsvHeaderRow(rows) {
+    return rows.findIndex(row => {
+        const cells = row.map(cell => cell.trim().toLowerCase());
+        const hasDate = cells.some(cell => cell.includes('date'));
+        const hasSymbol = cells.some(cell => ['symbol', 'ticker', 'etf'].includes(cell));
+        return hasDate && hasSymbol;
+    });
+}
+
+function findCsvColumn(headers, candidates) {
+    const lowered = headers.map(h => h.toLowerCase());
+    for (const candidate of candidates) {
+        const index = lowered.indexOf(candidate);
+        if (index !== -1) return index;
+    }
+    return -1;
+}
+
+function detectCsvPreset(headers) {
+    let best = 'generic';
+    let bestScore = 0;
+
+    Object.entries(BROKER_CSV_PRESETS).forEach(([key, preset]) => {
+        const score = Object.values(preset.columns)
+            .filter(candidates => findCsvColumn(headers, candidates) !== -1).length;
+        if (score > bestScore) {
+            best = key;
+            bestScore = score;
+        }
+    });
+
+    return best;
+}
+
+function applyCsvPreset(presetKey) {
+    if (!csvImportState) return;
+
+    const preset = BROKER_CSV_PRESETS[presetKey];
+    csvImportState.preset = presetKey;
+    csvImportState.mapping = {};
+    Object.keys(CSV_IMPORT_FIELDS).forEach(field => {
+        csvImportState.mapping[field] = findCsvColumn(csvImportState.headers, preset.columns[field] || []);
+    });
+
+    renderCsvMapping();
+    buildCsvPreview();
+}
+
+function renderCsvMapping() {
+    const container = document.getElementById('csvMapping');
+    const options = csvImportState.headers
+        .map((header, i) => `<option value="${i}">${escapeHtml(header)}</option>`)
+        .join('');
+
+    container.innerHTML = Object.entries(CSV_IMPORT_FIELDS).map(([field, config]) => `
+        <div class="form-group">
+            <label for="csvMap_${field}">${config.label}${config.required ? ' *' : ''}</label>
+            <select id="csvMap_${field}" data-field="${field}">
+                <option value="-1">(not mapped)</option>
+                ${options}
+            </select>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('select').forEach(select => {
+        select.value = csvImportState.mapping[select.dataset.field];
+        select.addEventListener('change', () => {
+            csvImportState.mapping[select.dataset.field] = parseInt(select.value, 10);
+            buildCsvPreview();
+        });
+    });
+
+    document.getElementById('csvMappingSection').style.display = 'block';
+}
+
+function parseCsvNumber(value) {
+    const text = String(value || '').trim();
+    if (!text) return NaN;
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const number = parseFloat(text.replace(/[()$,\s-]/g, ''));
+    return negative ? -number : number;
+}
+
+function matchCsvAction(text, preset) {
+    const upper = String(text || '').toUpperCase();
+    const match = preset.actions.find(([pattern]) => upper.includes(pattern));
+    return match ? match[1] : null;
+}
+
+// Turns one CSV row into a transaction using the current mapping.
+// Returns { transaction } or { error } / { skipped } with a reason.
+function normalizeCsvRow(row) {
+    const { mapping } = csvImportState;
+    const preset = BROKER_CSV_PRESETS[csvImportState.preset];
+    const cell = field => (mapping[field] >= 0 ? row[mapping[field]] : '');
+
+    const date = parseDateString(cell('date'));
+    const rawShares = parseCsvNumber(cell('shares'));
+    const rawAmount = parseCsvNumber(cell('amount'));
+    const price = Math.abs(parseCsvNumber(cell('price')));
+    const commission = Math.abs(parseCsvNumber(cell('commission'))) || 0;
+
+    let action;
+    if (mapping.action >= 0) {
+        action = matchCsvAction(cell('action'), preset);
+        if (!action) return { skipped: `Unrecognized action "${cell('action')}"` };
+    } else {
+        action = rawShares < 0 ? 'SELL' : 'BUY';
+    }
+    if (action === 'TRANSFER') action = rawAmount < 0 ? 'WITHDRAWAL' : 'DEPOSIT';
+
+    const isCashEntry = CASH_ACTIONS.includes(action);
+    const etf = isCashEntry ? CASH_SYMBOL : String(cell('etf') || '').trim().toUpperCase();
+
+    if (!date) return { error: `Invalid date "${cell('date')}"` };
+    if (!etf) return { error: 'Missing symbol' };
+
+    // Checked here rather than left to validation: the preview formats
+    // amounts in this currency
+    const currency = String(cell('currency') || '').trim().toUpperCase() ||
+        (isCashEntry ? currencySettings.baseCurrency : getEtfCurrency(etf));
+    if (!CURRENCIES[currency]) return { error: `Unsupported currency "${cell('currency')}"` };
+
+    const transaction = {
+        id: generateId('tx'),
+        date,
+        etf,
+        action,
+        shares: 0,
+        price: 0,
+        total: 0,
+        currency,
+        notes: String(cell('notes') || '').trim()
+    };
+
+    if (AMOUNT_ONLY_ACTIONS.includes(action)) {
+        transaction.total = Math.abs(rawAmount);
+        if (!(transaction.total > 0)) return { error: 'Missing amount' };
+    } else {
+        transaction.shares = Math.abs(rawShares);
+        transaction.price = price;
+        if (!(transaction.shares > 0)) return { error: 'Missing share quantity' };
+        if (!(transaction.price > 0)) return { error: 'Missing price' };
+
+        const gross = transaction.shares * transaction.price;
+        transaction.total = action === 'SELL' ? gross - commission : gross + commission;
+        if (commission > 0 && action !== 'DRIP') transaction.commission = commission;
+    }
+
+    return { transaction };
+}
+
+function buildCsvPreview() {
+    const missing = Object.entries(CSV_IMPORT_FIELDS)
+        .filter(([field, config]) => config.required && csvImportState.mapping[field] < 0)
+        .map(([, config]) => config.label);
+
+    const section = document.getElementById('csvPreviewSection');
+    const summary = document.getElementById('csvPreviewSummary');
+    const tbody = document.getElementById('csvPreviewBody');
+    section.style.display = 'block';
+
+    if (missing.length > 0) {
+        csvImportState.preview = [];
+        summary.textContent = `Map the required columns first: ${missing.join(', ')}`;
+        tbody.innerHTML = '';
+        document.getElementById('csvImportConfirm').disabled = true;
+        return;
+    }
+
+    const preview = csvImportState.rows.map((row, index) => ({
+        line: index + 1,
+        ...normalizeCsvRow(row),
+        status: 'new',
+        include: false
+    }));
+
+    // Rows are checked in date order so a sale listed before its purchase
+    // (newest-first exports) still finds its shares; the preview keeps file order
+    const entryFor = new Map(preview.filter(entry => entry.transaction).map(entry => [entry.transaction, entry]));
+    const accepted = [];
+    sortTransactionsChronologically([...entryFor.keys()]).forEach(transaction => {
+        const entry = entryFor.get(transaction);
+        const { errors } = validateTransaction(transaction, [...transactions, ...accepted]);
+        if (errors.length > 0) {
+            entry.error = errors.map(e => e.message).join('; ');
+        } else if (transactions.some(t => isSameTransaction(t, transaction))) {
+            entry.status = 'duplicate';
+        } else if (accepted.some(t => isSameTransaction(t, transaction))) {
+            entry.status = 'duplicate in file';
+        } else {
+            entry.include = true;
+            accepted.push(transaction);
+        }
+    });
+
+    preview.forEach(entry => {
+        if (entry.error) {
+            entry.status = 'invalid';
+        } else if (entry.skipped) {
+            entry.status = 'skipped';
+        }
+    });
+
+    csvImportState.preview = preview;
+    renderCsvPreview();
+}
+
+function renderCsvPreview() {
+    const preview = csvImportState.preview;
+    const count = status => preview.filter(p => p.status === status).length;
+    const selected = preview.filter(p => p.include).length;
+
+    document.getElementById('csvPreviewSummary').textContent =
+        `${count('new')} new, ${count('duplicate') + count('duplicate in file')} duplicates, ` +
+        `${count('invalid')} invalid, ${count('skipped')} skipped`;
+
+    const confirmButton = document.getElementById('csvImportConfirm');
+    confirmButton.disabled = selected === 0;
+    confirmButton.textContent = `Import ${selected} Transaction${selected === 1 ? '' : 's'}`;
+
+    const tbody = document.getElementById('csvPreviewBody');
+    tbody.innerHTML = preview.map((entry, i) => {
+        const t = entry.transaction;
+        const canInclude = Boolean(t);
+        return `
+            <tr class="csv-row ${entry.status.replace(/\s+/g, '-')}">
+                <td><input type="checkbox" data-index="${i}" ${entry.include ? 'checked' : ''} ${canInclude ? '' : 'disabled'}></td>
+                <td>${entry.line}</td>
+                <td><span class="csv-status">${entry.status}</span></td>
+                <td>${t ? formatDate(t.date) : '-'}</td>
+                <td class="etf-symbol">${t ? escapeHtml(t.etf) : '-'}</td>
+                <td>${t ? formatAction(t.action) : '-'}</td>
+                <td>${t && t.shares ? t.shares : '-'}</td>
+                <td>${t && t.price ? formatCurrency(t.price, t.currency) : '-'}</td>
+                <td>${t ? formatCurrency(t.total, t.currency) : '-'}</td>
+                <td>${escapeHtml(entry.error || entry.skipped || '')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    tbody.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            csvImportState.preview[checkbox.dataset.index].include = checkbox.checked;
+            renderCsvPreview();
+        });
+    });
+}
+
+async function confirmCsvImport() {
+    if (!csvImportState) return;
+
+    const included = csvImportState.preview.filter(p => p.include && p.transaction);
+    const toImport = included.map(p => p.transaction);
+    if (toImport.length === 0) return;
+
+    // Unticking rows can leave a later sale without the shares it needs
+    const { invalid } = validateImportedTransactions(toImport, transactions, included.map(p => p.line));
+    if (invalid.length > 0) {
+        alert(`Some selected rows are invalid:\n${describeInvalidRows(invalid)}`);
+        return;
+    }
+
+    await takeSnapshot('IMPORT', transactions, portfolioRegistry.active, 'Broker CSV');
+    await commitLedgerChange(`Import ${toImport.length} transactions from CSV`, [...transactions, ...toImport]);
+
+    closeCsvImportModal();
+    showNotification(`Imported ${toImport.length} transactions`, 'success');
+}
+
 // ============================================================================
 // EVENT LISTENERS
 // ============================================================================
@@ -779,6 +7132,11 @@ function setupEventListeners() {
             tab.classList.add('active');
             const tabId = tab.dataset.tab;
             document.getElementById(tabId).classList.add('active');
+
+            if (tabId === 'performance') renderPerformance();
+            if (tabId === 'risk') renderRisk();
+            if (tabId === 'scenarios') renderScenarios();
+            if (tabId === 'taxes') renderTaxReport();
         });
     });
     
@@ -791,6 +7149,36 @@ function setupEventListeners() {
     
     // Transaction form submission
     document.getElementById('transactionForm').addEventListener('submit', addTransaction);
+
+    // Cost basis method and lot picker
+    const lotMethodSelect = document.getElementById('transactionLotMethod');
+    lotMethodSelect.innerHTML = Object.entries(COST_BASIS_METHODS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    lotMethodSelect.value = CONFIG.COST_BASIS_METHOD;
+    lotMethodSelect.addEventListener('change', updateLotMethodFields);
+    document.getElementById('transactionAction').addEventListener('change', updateTransactionFormFields);
+    document.getElementById('transactionETF').addEventListener('change', updateTransactionFormFields);
+    document.getElementById('transactionDate').addEventListener('change', updateLotMethodFields);
+
+    // Reserve plan modal
+    document.getElementById('reserveModal').addEventListener('click', (e) => {
+        if (e.target.id === 'reserveModal') {
+            closeReserveModal();
+        }
+    });
+    document.getElementById('reserveForm').addEventListener('submit', saveReservePlan);
+
+    // Rebalancing settings
+    const rebalanceMode = document.getElementById('rebalanceMode');
+    rebalanceMode.innerHTML = Object.entries(REBALANCE_MODES)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+    rebalanceMode.value = targetAllocation.mode;
+    ['rebalanceTolerance', 'rebalanceMode', 'rebalanceCash'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateRebalanceSettings);
+    });
+    document.getElementById('rebalanceAddETF').addEventListener('click', addTargetETF);
     
     // Refresh button
     const refreshBtn = document.getElementById('refreshPrices');
@@ -798,6 +7186,134 @@ function setupEventListeners() {
         refreshBtn.addEventListener('click', () => fetchCurrentPrices(true));
     }
     
+    // Performance tab
+    document.getElementById('performanceRange').addEventListener('change', renderPerformance);
+
+    // Scenarios
+    document.getElementById('scenarioPreset').innerHTML = '<option value="">Custom</option>' +
+        Object.entries(SCENARIO_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.name}</option>`).join('');
+    document.getElementById('scenarioPreset').addEventListener('change', (e) => applyScenarioPreset(e.target.value));
+    document.getElementById('monteCarloHorizon').value = CONFIG.SCENARIOS.horizonYears;
+    document.getElementById('monteCarloReturn').value = CONFIG.SCENARIOS.expectedReturn;
+    document.getElementById('monteCarloRuns').value = CONFIG.SCENARIOS.runs;
+    document.getElementById('monteCarloForm').addEventListener('submit', runMonteCarloProjection);
+
+    // Risk analytics
+    document.getElementById('riskRange').addEventListener('change', renderRisk);
+    document.getElementById('riskBenchmark').value = riskSettings.benchmark;
+    document.getElementById('riskBenchmark').addEventListener('change', setRiskBenchmark);
+    document.getElementById('priceHistoryImport').addEventListener('change', importPriceHistoryCSV);
+
+    // Refresh and re-plan the scheduler when the tab comes back into view
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Push edits made while offline as soon as the connection returns
+    window.addEventListener('online', syncActivePortfolio);
+
+    // Strategy journal
+    document.getElementById('thesisForm').addEventListener('submit', saveThesis);
+    document.getElementById('journalEntryForm').addEventListener('submit', addJournalEntry);
+    document.getElementById('journalModal').addEventListener('click', (e) => {
+        if (e.target.id === 'journalModal') {
+            closeJournalModal();
+        }
+    });
+
+    // Tax report
+    document.getElementById('taxYear').addEventListener('change', renderTaxReport);
+    document.getElementById('taxDownloadCsv').addEventListener('click', downloadTaxReportCSV);
+    document.getElementById('taxPrint').addEventListener('click', printTaxReport);
+
+    // Alerts
+    const alertType = document.getElementById('alertType');
+    alertType.innerHTML = Object.entries(ALERT_TYPES)
+        .map(([value, type]) => `<option value="${value}">${type.label}</option>`)
+        .join('');
+    alertType.addEventListener('change', updateAlertValueField);
+    updateAlertValueField();
+    document.getElementById('alertForm').addEventListener('submit', addAlertRule);
+    document.getElementById('acknowledgeAllAlerts').addEventListener('click', () => acknowledgeAlert());
+
+    // Price sources
+    document.getElementById('priceSourcesForm').addEventListener('submit', savePriceSources);
+    document.getElementById('priceSourcesModal').addEventListener('click', (e) => {
+        if (e.target.id === 'priceSourcesModal') {
+            closePriceSourcesModal();
+        }
+    });
+
+    // Portfolio switcher
+    document.getElementById('portfolioSelect').addEventListener('change', (e) => switchPortfolio(e.target.value));
+    document.getElementById('baseCurrencySelect').addEventListener('change', (e) => setBaseCurrency(e.target.value));
+
+    // Transaction currency follows the ETF's unless changed by hand
+    document.getElementById('transactionCurrency').innerHTML = Object.entries(CURRENCIES)
+        .map(([code, name]) => `<option value="${code}">${code} - ${name}</option>`)
+        .join('');
+    document.getElementById('transactionETF').addEventListener('change', (e) => {
+        const etf = e.target.value.trim().toUpperCase();
+        if (etf) document.getElementById('transactionCurrency').value = getEtfCurrency(etf);
+    });
+    document.getElementById('newPortfolioButton').addEventListener('click', createPortfolio);
+    document.getElementById('renamePortfolioButton').addEventListener('click', renamePortfolio);
+    document.getElementById('deletePortfolioButton').addEventListener('click', deletePortfolio);
+
+    // Undo / redo
+    document.getElementById('undoButton').addEventListener('click', undoLedgerChange);
+    document.getElementById('redoButton').addEventListener('click', redoLedgerChange);
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undoLedgerChange();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redoLedgerChange();
+        }
+    });
+    updateUndoButtons();
+
+    // Broker CSV import
+    const presetSelect = document.getElementById('csvPreset');
+    presetSelect.innerHTML = Object.entries(BROKER_CSV_PRESETS)
+        .map(([key, preset]) => `<option value="${key}">${preset.name}</option>`)
+        .join('');
+    presetSelect.addEventListener('change', () => applyCsvPreset(presetSelect.value));
+    document.getElementById('csvImportFile').addEventListener('change', loadCsvImportFile);
+    document.getElementById('csvImportConfirm').addEventListener('click', confirmCsvImport);
+    document.getElementById('csvImportModal').addEventListener('click', (e) => {
+        if (e.target.id === 'csvImportModal') {
+            closeCsvImportModal();
+        }
+    });
+
+    // Snapshots and bulk delete
+    document.getElementById('snapshotSettingsForm').addEventListener('submit', saveSnapshotSettings);
+    document.getElementById('snapshotsModal').addEventListener('click', (e) => {
+        if (e.target.id === 'snapshotsModal') {
+            closeSnapshotsModal();
+        }
+    });
+    document.getElementById('selectAllTransactions').addEventListener('change', (e) => toggleAllTransactions(e.target.checked));
+
+    // ETF metadata
+    document.getElementById('metadataForm').addEventListener('submit', saveMetadata);
+    document.getElementById('metadataETF').addEventListener('change', (e) => fillMetadataForm(e.target.value));
+    document.getElementById('metadataModal').addEventListener('click', (e) => {
+        if (e.target.id === 'metadataModal') {
+            closeMetadataModal();
+        }
+    });
+
+    // Position detail
+    document.getElementById('positionDetailModal').addEventListener('click', (e) => {
+        if (e.target.id === 'positionDetailModal') {
+            closePositionDetail();
+        }
+    });
+
     // Export button
     const exportBtn = document.getElementById('exportData');
     if (exportBtn) {
@@ -825,4 +7341,37 @@ if (document.readyState === 'loading') {
 window.openTransactionModal = openTransactionModal;
 window.closeTransactionModal = closeTransactionModal;
 window.deleteTransaction = deleteTransaction;
+window.editTransaction = editTransaction;
+window.openJournalModal = openJournalModal;
+window.openPositionDetail = openPositionDetail;
+window.openMetadataModal = openMetadataModal;
+window.setScenarioShock = setScenarioShock;
+window.resetScenario = resetScenario;
+window.closeMetadataModal = closeMetadataModal;
+window.resetMetadata = resetMetadata;
+window.closePositionDetail = closePositionDetail;
+window.tradeFromPositionDetail = tradeFromPositionDetail;
+window.editJournalFromPositionDetail = editJournalFromPositionDetail;
+window.closeJournalModal = closeJournalModal;
+window.deleteJournalEntry = deleteJournalEntry;
+window.switchPortfolio = switchPortfolio;
+window.finishSyncConflicts = finishSyncConflicts;
+window.openPriceSourcesModal = openPriceSourcesModal;
+window.toggleAlertRule = toggleAlertRule;
+window.deleteAlertRule = deleteAlertRule;
+window.acknowledgeAlert = acknowledgeAlert;
+window.closePriceSourcesModal = closePriceSourcesModal;
+window.movePriceProvider = movePriceProvider;
 window.exportPortfolioData = exportPortfolioData;
+window.openReserveModal = openReserveModal;
+window.closeReserveModal = closeReserveModal;
+window.addTrancheRow = addTrancheRow;
+window.openCsvImportModal = openCsvImportModal;
+window.closeCsvImportModal = closeCsvImportModal;
+window.toggleTransactionSelection = toggleTransactionSelection;
+window.deleteSelectedTransactions = deleteSelectedTransactions;
+window.openSnapshotsModal = openSnapshotsModal;
+window.closeSnapshotsModal = closeSnapshotsModal;
+window.viewSnapshot = viewSnapshot;
+window.restoreSnapshot = restoreSnapshot;
+window.takeManualSnapshot = takeManualSnapshot;
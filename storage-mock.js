@@ -0,0 +1,92 @@
+// Local stand-in for the window.storage cloud API, for exercising sync
+// without a second device. Only active when the page is opened with
+// ?mockStorage=1; the "cloud" lives in localStorage under a separate prefix,
+// so two tabs of the same browser behave like two devices.
+//
+// From the console:
+//   storageMock.setOffline(true)        - every call fails, as without a connection
+//   storageMock.setLatency(500)         - delay each call by 500 ms
+//   storageMock.simulateRemoteEdit('etf_transactions__default', envelope => { ... })
+//                                       - edit the cloud copy as another device would
+//   storageMock.dump() / storageMock.reset()
+
+(function () {
+    if (!new URLSearchParams(window.location.search).has('mockStorage')) return;
+
+    const PREFIX = 'mock_cloud:';
+    let offline = false;
+    let latency = 0;
+
+    async function call(operation) {
+        if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+        if (offline) throw new Error('Mock storage is offline');
+        return operation();
+    }
+
+    window.storage = {
+        get(key) {
+            return call(() => {
+                const value = localStorage.getItem(PREFIX + key);
+                return value === null ? null : { key, value };
+            });
+        },
+        set(key, value) {
+            return call(() => {
+                localStorage.setItem(PREFIX + key, value);
+                return { key, value };
+            });
+        },
+        delete(key) {
+            return call(() => {
+                localStorage.removeItem(PREFIX + key);
+                return { key, deleted: true };
+            });
+        },
+        list(prefix = '') {
+            return call(() => {
+                const keys = Object.keys(localStorage)
+                    .filter(key => key.startsWith(PREFIX + prefix))
+                    .map(key => key.slice(PREFIX.length));
+                return { keys };
+            });
+        }
+    };
+
+    window.storageMock = {
+        setOffline(value) {
+            offline = Boolean(value);
+            console.log(`🧪 Mock storage ${offline ? 'offline' : 'online'}`);
+            if (!offline) window.dispatchEvent(new Event('online'));
+        },
+        setLatency(ms) {
+            latency = Math.max(0, Number(ms) || 0);
+        },
+        // `edit` receives the stored ledger envelope and may change its
+        // transactions in place; the revision is bumped like a real save
+        simulateRemoteEdit(key, edit) {
+            const stored = localStorage.getItem(PREFIX + key);
+            const envelope = stored
+                ? JSON.parse(stored)
+                : { format: 'etf-ledger-v1', revision: 0, transactions: [], deletedIds: [] };
+
+            edit(envelope);
+            envelope.revision = (envelope.revision || 0) + 1;
+            envelope.updatedAt = Date.now();
+            envelope.deviceId = 'mock-remote-device';
+            localStorage.setItem(PREFIX + key, JSON.stringify(envelope));
+            console.log(`🧪 Remote edit on ${key}, now revision ${envelope.revision}`);
+        },
+        dump() {
+            return Object.keys(localStorage)
+                .filter(key => key.startsWith(PREFIX))
+                .reduce((all, key) => ({ ...all, [key.slice(PREFIX.length)]: JSON.parse(localStorage.getItem(key)) }), {});
+        },
+        reset() {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(PREFIX))
+                .forEach(key => localStorage.removeItem(key));
+        }
+    };
+
+    console.log('🧪 Using mock cloud storage');
+})();